@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./seen-job-store');
+const { incCounter } = require('./metrics');
+const { createLogger, maskChatId } = require('./logger');
+
+const logger = createLogger('alert-queue');
+
+// Queue files
+const ALERT_QUEUE_FILE = process.env.ALERT_QUEUE_FILE || path.join(DATA_DIR, 'alert-queue.json');
+const DEAD_LETTER_FILE = process.env.ALERT_DEAD_LETTER_FILE || path.join(DATA_DIR, 'alert-dead-letters.jsonl');
+
+// Send rates and retries
+const PER_CHAT_INTERVAL = parseInt(process.env.ALERT_PER_CHAT_INTERVAL_MS, 10) || 3000; // Telegram groups allow ~20 messages/minute
+const GLOBAL_INTERVAL = parseInt(process.env.ALERT_GLOBAL_INTERVAL_MS, 10) || 100; // 10 messages/second overall
+const MAX_ATTEMPTS = parseInt(process.env.ALERT_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_DELAY = 5000; // 5 seconds, doubled per failed attempt
+
+// Queue state: entries are { id, channel, target, payload, attempts, nextAttemptAt, createdAt, lastError }
+let queue = [];
+let deadLetterCount = 0;
+let senders = {};
+let running = false;
+let draining = false;
+let wakeRequested = false;
+let drainTimer = null;
+let lastSendAt = 0;
+let chatAvailableAt = new Map();
+
+// Load unsent alerts from disk (they survive crashes and restarts)
+function loadAlertQueue() {
+    queue = [];
+
+    if (fs.existsSync(ALERT_QUEUE_FILE)) {
+        try {
+            queue = JSON.parse(fs.readFileSync(ALERT_QUEUE_FILE, 'utf8')).entries || [];
+        } catch (error) {
+            logger.error(`❌ Error reading alert queue (starting empty):`, error.message);
+        }
+    }
+
+    logger.info(`📮 Alert queue loaded: ${queue.length} pending alert(s)`);
+    return queue.length;
+}
+
+// Write the queue to disk (atomically)
+function saveAlertQueue() {
+    try {
+        fs.mkdirSync(path.dirname(ALERT_QUEUE_FILE), { recursive: true });
+        const tmpFile = `${ALERT_QUEUE_FILE}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ entries: queue }));
+        fs.renameSync(tmpFile, ALERT_QUEUE_FILE);
+    } catch (error) {
+        logger.error(`❌ Error writing alert queue:`, error.message);
+    }
+}
+
+// Target for logs (chat IDs are masked)
+function describeTarget(entry) {
+    return entry.channel === 'telegram' ? maskChatId(entry.target) : entry.target;
+}
+
+// Append a failed alert to the dead-letter list
+function deadLetter(entry, error) {
+    deadLetterCount++;
+    incCounter('alerts_dead_lettered_total', { channel: entry.channel });
+    logger.error(`💀 Alert ${entry.id} to ${entry.channel}:${describeTarget(entry)} moved to dead letters after ${entry.attempts} attempt(s): ${error.message}`);
+
+    try {
+        fs.mkdirSync(path.dirname(DEAD_LETTER_FILE), { recursive: true });
+        fs.appendFileSync(DEAD_LETTER_FILE, JSON.stringify({ ...entry, lastError: error.message, failedAt: Date.now() }) + '\n');
+    } catch (writeError) {
+        logger.error(`❌ Error writing dead letter:`, writeError.message);
+    }
+}
+
+// Add alerts to the queue; each is { channel, target, payload }
+function enqueueAlerts(alerts) {
+    if (alerts.length === 0) {
+        return;
+    }
+
+    const now = Date.now();
+    alerts.forEach(alert => {
+        queue.push({
+            id: crypto.randomUUID(),
+            channel: alert.channel,
+            target: alert.target,
+            payload: alert.payload,
+            attempts: 0,
+            nextAttemptAt: now,
+            createdAt: now,
+            lastError: null
+        });
+    });
+    saveAlertQueue();
+
+    logger.info(`📮 Queued ${alerts.length} alert(s) (${queue.length} pending)`);
+    wake();
+}
+
+// Rate-limit key for a chat/target
+function chatKey(entry) {
+    return `${entry.channel}:${entry.target}`;
+}
+
+// First due entry whose chat isn't rate limited, or how long to wait for one
+function pickNextEntry(now) {
+    let wait = null;
+
+    for (const entry of queue) {
+        const readyAt = Math.max(entry.nextAttemptAt, chatAvailableAt.get(chatKey(entry)) || 0);
+        if (readyAt <= now) {
+            return { entry: entry, wait: 0 };
+        }
+        wait = wait === null ? readyAt - now : Math.min(wait, readyAt - now);
+    }
+
+    return { entry: null, wait: wait };
+}
+
+// Send one entry and update the queue according to the outcome
+async function deliver(entry) {
+    const sender = senders[entry.channel];
+    lastSendAt = Date.now();
+    chatAvailableAt.set(chatKey(entry), lastSendAt + PER_CHAT_INTERVAL);
+
+    try {
+        if (!sender) {
+            const error = new Error(`No sender for channel "${entry.channel}"`);
+            error.permanent = true;
+            throw error;
+        }
+
+        await sender(entry.target, entry.payload);
+        incCounter('alerts_sent_total', { channel: entry.channel });
+        queue = queue.filter(queued => queued.id !== entry.id);
+        logger.info(`✅ Alert sent via ${entry.channel} to ${describeTarget(entry)} (${queue.length} pending)`);
+
+    } catch (error) {
+        if (error.retryAfter) {
+            // Rate limited: wait as long as the API asks, without using up an attempt
+            incCounter('alerts_rate_limited_total', { channel: entry.channel });
+            const retryAt = Date.now() + error.retryAfter * 1000;
+            entry.nextAttemptAt = retryAt;
+            chatAvailableAt.set(chatKey(entry), retryAt);
+            logger.warn(`⚠️  Rate limited by ${entry.channel}, retrying ${describeTarget(entry)} in ${error.retryAfter}s`);
+        } else {
+            incCounter('alerts_failed_total', { channel: entry.channel });
+            entry.attempts++;
+            entry.lastError = error.message;
+
+            if (error.permanent || entry.attempts >= MAX_ATTEMPTS) {
+                queue = queue.filter(queued => queued.id !== entry.id);
+                deadLetter(entry, error);
+            } else {
+                entry.nextAttemptAt = Date.now() + RETRY_BASE_DELAY * Math.pow(2, entry.attempts - 1);
+                logger.error(`❌ Alert send failed (attempt ${entry.attempts}/${MAX_ATTEMPTS}), will retry:`, error.message);
+            }
+        }
+    }
+
+    saveAlertQueue();
+}
+
+// Send queued alerts until the queue is empty or everything left has to wait
+async function drain() {
+    drainTimer = null;
+    if (!running || draining) {
+        return;
+    }
+
+    draining = true;
+    wakeRequested = false;
+    try {
+        while (running) {
+            const globalWait = lastSendAt + GLOBAL_INTERVAL - Date.now();
+            if (globalWait > 0) {
+                await new Promise(resolve => setTimeout(resolve, globalWait));
+                continue;
+            }
+
+            const next = pickNextEntry(Date.now());
+            if (!next.entry) {
+                if (next.wait !== null) {
+                    scheduleDrain(next.wait);
+                }
+                break;
+            }
+
+            await deliver(next.entry);
+        }
+    } finally {
+        draining = false;
+        if (wakeRequested) {
+            wake();
+        }
+    }
+}
+
+// Run drain after a delay
+function scheduleDrain(delay) {
+    clearTimeout(drainTimer);
+    drainTimer = setTimeout(drain, delay);
+}
+
+// Start draining now (or right after the current drain finishes)
+function wake() {
+    if (!running) {
+        return;
+    }
+    if (draining) {
+        wakeRequested = true;
+        return;
+    }
+    scheduleDrain(0);
+}
+
+// Start the worker. senders maps a channel name to async (target, payload) => void;
+// a sender signals rate limits with error.retryAfter (seconds) and hopeless sends with error.permanent.
+function startAlertWorker(channelSenders) {
+    senders = channelSenders;
+    running = true;
+    logger.info(`📮 Alert worker started (per-chat ${PER_CHAT_INTERVAL}ms, global ${GLOBAL_INTERVAL}ms, ${MAX_ATTEMPTS} attempts)`);
+    wake();
+}
+
+// Stop the worker (pending alerts stay on disk)
+function stopAlertWorker() {
+    running = false;
+    clearTimeout(drainTimer);
+    drainTimer = null;
+}
+
+// Queue state for status reporting
+function getAlertQueueStats() {
+    return {
+        pending: queue.length,
+        deadLetters: deadLetterCount
+    };
+}
+
+module.exports = {
+    loadAlertQueue,
+    enqueueAlerts,
+    startAlertWorker,
+    stopAlertWorker,
+    getAlertQueueStats
+};
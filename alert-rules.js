@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const { minuteOfDay } = require('./digest-store');
+const { getTemplateSet } = require('./alert-templates');
+const { createLogger, addSecret, maskChatId } = require('./logger');
+
+const logger = createLogger('alert-rules');
+
+// Default rules file (override with ALERT_RULES_FILE)
+const DEFAULT_RULES_FILE = path.join(__dirname, 'alert-rules.json');
+
+// Delivery modes: one message per job, one message per polling cycle, or a scheduled digest
+const DELIVERY_MODES = ['immediate', 'batch', 'hourly', 'daily'];
+
+// Quiet hours modes: hold alerts for one catch-up summary, or send them without a notification sound
+const QUIET_MODES = ['catchup', 'silent'];
+
+// Timezone of alert times, digests and quiet hours for destinations that don't set one
+const DEFAULT_TIMEZONE = process.env.ALERT_TIMEZONE || process.env.DIGEST_TIMEZONE || 'America/Toronto';
+
+// Rules file in use
+function rulesFilePath() {
+    return process.env.ALERT_RULES_FILE || DEFAULT_RULES_FILE;
+}
+
+// Whether a rules file exists (otherwise everything goes to TELEGRAM_CHANNEL_ID)
+function hasAlertRulesFile() {
+    return fs.existsSync(rulesFilePath());
+}
+
+// Whether a timezone name is known to Intl
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Parse quiet hours windows ("22:00-07:00", may cross midnight) into minutes of the day
+function parseQuietHours(quietHours, index) {
+    return [].concat(quietHours || []).map(window => {
+        const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(window).trim());
+        if (!match || parseInt(match[1], 10) > 23 || parseInt(match[3], 10) > 23 ||
+            parseInt(match[2], 10) > 59 || parseInt(match[4], 10) > 59) {
+            throw new Error(`Alert destination #${index + 1} has invalid quiet hours "${window}" (expected HH:MM-HH:MM, hours 0-23 and minutes 0-59)`);
+        }
+        return {
+            label: String(window).trim(),
+            start: parseInt(match[1], 10) * 60 + parseInt(match[2], 10),
+            end: parseInt(match[3], 10) * 60 + parseInt(match[4], 10)
+        };
+    });
+}
+
+// Filters that take a list of values (a single string is accepted as a one-item list)
+const LIST_FILTERS = ['sites', 'cities', 'employmentTypes', 'jobTypes'];
+
+// Validate a destination's filters, turning single values of list filters into lists
+function normalizeFilters(filters, index) {
+    if (filters === undefined || filters === null) {
+        return {};
+    }
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+        throw new Error(`Alert destination #${index + 1} has invalid filters (expected an object)`);
+    }
+
+    const normalized = { ...filters };
+    LIST_FILTERS.forEach(key => {
+        if (normalized[key] === undefined) {
+            return;
+        }
+        const list = typeof normalized[key] === 'string' ? [normalized[key]] : normalized[key];
+        if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+            throw new Error(`Alert destination #${index + 1} has invalid filter "${key}" (expected a string or a list of strings)`);
+        }
+        normalized[key] = list;
+    });
+    return normalized;
+}
+
+// Load destinations from the rules file, or a single catch-all destination for defaultChatId
+function loadAlertRules(defaultChatId) {
+    const filePath = rulesFilePath();
+
+    if (!fs.existsSync(filePath)) {
+        if (!defaultChatId) {
+            throw new Error(`No alert rules file at ${filePath} and no TELEGRAM_CHANNEL_ID set`);
+        }
+        logger.info(`📬 No alert rules file, sending every alert to ${maskChatId(defaultChatId)}`);
+        return [{ name: 'default', chatId: defaultChatId, filters: {}, delivery: 'immediate', timezone: DEFAULT_TIMEZONE, quietHours: [], quietMode: 'catchup', templates: null }];
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const destinations = (Array.isArray(parsed) ? parsed : parsed.destinations || [])
+        .filter(destination => destination.enabled !== false)
+        .map((destination, index) => {
+            if (!destination.chatId) {
+                throw new Error(`Alert destination #${index + 1} is missing a chatId`);
+            }
+            const delivery = destination.delivery || 'immediate';
+            if (!DELIVERY_MODES.includes(delivery)) {
+                throw new Error(`Alert destination #${index + 1} has unknown delivery "${delivery}" (use ${DELIVERY_MODES.join(', ')})`);
+            }
+            if (destination.digestAt && !/^\d{1,2}:\d{2}$/.test(destination.digestAt)) {
+                throw new Error(`Alert destination #${index + 1} has invalid digestAt "${destination.digestAt}" (expected HH:MM)`);
+            }
+            if (destination.timezone && !isValidTimezone(destination.timezone)) {
+                throw new Error(`Alert destination #${index + 1} has unknown timezone "${destination.timezone}"`);
+            }
+            if (destination.templates) {
+                try {
+                    getTemplateSet(destination.templates);
+                } catch (error) {
+                    throw new Error(`Alert destination #${index + 1} has unusable templates: ${error.message}`);
+                }
+            }
+            const quietMode = destination.quietMode || 'catchup';
+            if (!QUIET_MODES.includes(quietMode)) {
+                throw new Error(`Alert destination #${index + 1} has unknown quietMode "${quietMode}" (use ${QUIET_MODES.join(', ')})`);
+            }
+            addSecret(destination.chatId, 'chat');
+            return {
+                name: destination.name || String(destination.chatId),
+                chatId: String(destination.chatId),
+                filters: normalizeFilters(destination.filters, index),
+                delivery: delivery,
+                digestAt: destination.digestAt || '08:00',
+                timezone: destination.timezone || DEFAULT_TIMEZONE,
+                quietHours: parseQuietHours(destination.quietHours, index),
+                quietMode: quietMode,
+                templates: destination.templates || null
+            };
+        });
+
+    if (destinations.length === 0) {
+        throw new Error(`No enabled alert destinations found in ${filePath}`);
+    }
+
+    logger.info(`📬 Loaded ${destinations.length} alert destination(s) from ${filePath}`);
+    return destinations;
+}
+
+// Case-insensitive match of a value against a list
+function matchesAny(list, ...values) {
+    const wanted = list.map(item => String(item).toLowerCase());
+    return values.some(value => value && wanted.includes(String(value).toLowerCase()));
+}
+
+// Whether a job (and its schedules, when known) passes a destination's filters
+function jobMatchesFilters(job, filters, schedules) {
+    if (filters.sites && filters.sites.length > 0 && !matchesAny(filters.sites, job.site)) {
+        return false;
+    }
+
+    if (filters.cities && filters.cities.length > 0) {
+        const cityMatch = matchesAny(filters.cities, job.city) ||
+            filters.cities.some(city => (job.locationName || '').toLowerCase().includes(String(city).toLowerCase()));
+        if (!cityMatch) {
+            return false;
+        }
+    }
+
+    if (filters.minPay !== undefined && !(job.totalPayRateMin >= filters.minPay)) {
+        return false;
+    }
+
+    if (filters.employmentTypes && filters.employmentTypes.length > 0 &&
+        !matchesAny(filters.employmentTypes, job.employmentType, job.employmentTypeL10N)) {
+        return false;
+    }
+
+    if (filters.jobTypes && filters.jobTypes.length > 0 &&
+        !matchesAny(filters.jobTypes, job.jobType, job.jobTypeL10N)) {
+        return false;
+    }
+
+    if (filters.bonusJob !== undefined && Boolean(job.bonusJob) !== filters.bonusJob) {
+        return false;
+    }
+
+    // Hours filters need schedules; jobs whose schedules are unknown (or gone) are let through
+    if ((filters.minHoursPerWeek !== undefined || filters.maxHoursPerWeek !== undefined) && schedules && schedules.length > 0) {
+        const min = filters.minHoursPerWeek !== undefined ? filters.minHoursPerWeek : -Infinity;
+        const max = filters.maxHoursPerWeek !== undefined ? filters.maxHoursPerWeek : Infinity;
+        const hoursMatch = schedules.some(schedule => schedule.hoursPerWeek >= min && schedule.hoursPerWeek <= max);
+        if (!hoursMatch) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// Whether a destination's filters match a job (new-shift alerts are matched on the new schedules)
+function jobMatchesDestination(destination, job) {
+    const schedules = job.openedSchedules || job.schedules || null;
+    return jobMatchesFilters(job, destination.filters, schedules);
+}
+
+// Timezone of a destination (bot subscribers use the default)
+function destinationTimezone(destination) {
+    return destination.timezone || DEFAULT_TIMEZONE;
+}
+
+// Whether it is quiet hours for a destination (in its own timezone)
+function isQuietHours(destination, now = Date.now()) {
+    if (!destination.quietHours || destination.quietHours.length === 0) {
+        return false;
+    }
+
+    const minute = minuteOfDay(new Date(now), destinationTimezone(destination));
+    return destination.quietHours.some(window => window.start <= window.end
+        ? minute >= window.start && minute < window.end
+        : minute >= window.start || minute < window.end);
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    hasAlertRulesFile,
+    loadAlertRules,
+    jobMatchesFilters,
+    jobMatchesDestination,
+    destinationTimezone,
+    isQuietHours
+};
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('alert-templates');
+
+// Bundled template sets, an optional directory of user sets (searched first) and the default set
+const BUNDLED_TEMPLATES_DIR = path.join(__dirname, 'templates');
+const USER_TEMPLATES_DIR = process.env.ALERT_TEMPLATES_DIR || null;
+const DEFAULT_TEMPLATE_SET = process.env.ALERT_TEMPLATES || 'en-CA';
+
+// Templates of a set (<name>.html); a set without one of them uses the bundled en-CA file
+const TEMPLATE_NAMES = ['new_job', 'new_schedules', 'schedules_gone', 'filled', 'batch', 'digest', 'catch_up'];
+const FALLBACK_SET = 'en-CA';
+
+// Strings used outside the templates (template.json "strings" overrides them)
+const DEFAULT_STRINGS = {
+    apply: '✅ Apply',
+    moreSchedules: '+{{count}} more schedules',
+    noMoreSchedules: '(no further schedules)'
+};
+
+// set name -> { name, locale, strings, templates: { name -> parsed template } }
+const sets = new Map();
+
+// Escape text for Telegram parse_mode HTML (quotes too, for values in href="...")
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Template markup as plain text (tags removed, entities decoded)
+function stripHtml(text) {
+    return text
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
+// Parse a template into nodes: text, value ({{a|b|"fallback"}}), if ({{#if a}}...{{else}}...{{/if}})
+// and each ({{#each list}}...{{/each}}). Block tags alone on a line don't leave a blank line.
+function parseTemplate(source, fileName) {
+    const normalized = source.replace(/^[ \t]*(\{\{(?:#if [^}]+|#each [^}]+|else|\/if|\/each)\}\})[ \t]*(?:\r?\n|$)/gm, '$1');
+    const root = { children: [] };
+    const stack = [root];
+    const pattern = /\{\{\s*([^}]+?)\s*\}\}/g;
+    let position = 0;
+    let match;
+
+    const current = () => stack[stack.length - 1];
+    const append = node => (current().inElse ? current().otherwise : current().children).push(node);
+
+    while ((match = pattern.exec(normalized)) !== null) {
+        if (match.index > position) {
+            append({ type: 'text', text: normalized.slice(position, match.index) });
+        }
+        position = pattern.lastIndex;
+
+        const tag = match[1];
+        const block = /^#(if|each)\s+(.+)$/.exec(tag);
+        if (block) {
+            const node = { type: block[1], expression: block[2], children: [], otherwise: [], inElse: false };
+            append(node);
+            stack.push(node);
+        } else if (tag === 'else') {
+            if (current().type !== 'if' || current().inElse) {
+                throw new Error(`${fileName}: {{else}} outside {{#if}}`);
+            }
+            current().inElse = true;
+        } else if (tag === '/if' || tag === '/each') {
+            if (current().type !== tag.slice(1)) {
+                throw new Error(`${fileName}: {{${tag}}} without a matching {{#${tag.slice(1)}}}`);
+            }
+            stack.pop();
+        } else {
+            append({ type: 'value', expression: tag });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`${fileName}: {{#${current().type} ${current().expression}}} is never closed`);
+    }
+    if (position < normalized.length) {
+        append({ type: 'text', text: normalized.slice(position) });
+    }
+    return root.children;
+}
+
+// Value of an expression: the first field ("a|b|'text'|1") that is set, like a || b in code
+// (missing, null, 0, false, empty text and empty lists are skipped); literals are always used
+function evaluate(expression, context) {
+    for (const alternative of expression.split('|').map(part => part.trim())) {
+        if (/^(["']).*\1$/.test(alternative)) {
+            return alternative.slice(1, -1);
+        }
+        if (/^-?\d+(\.\d+)?$/.test(alternative)) {
+            return Number(alternative);
+        }
+
+        const value = alternative.split('.').reduce((object, key) => (object === null || object === undefined ? undefined : object[key]), context);
+        if (value && !(Array.isArray(value) && value.length === 0)) {
+            return value;
+        }
+    }
+    return null;
+}
+
+// Render parsed nodes as Telegram HTML (values are escaped)
+function renderNodes(nodes, context) {
+    return nodes.map(node => {
+        if (node.type === 'text') {
+            return node.text;
+        }
+
+        const value = evaluate(node.expression, context);
+        if (node.type === 'value') {
+            return value === null ? '' : escapeHtml(value);
+        }
+        if (node.type === 'if') {
+            return renderNodes(value ? node.children : node.otherwise, context);
+        }
+        return (Array.isArray(value) ? value : []).map((item, index) =>
+            renderNodes(node.children, { ...context, ...item, number: index + 1 })).join('');
+    }).join('');
+}
+
+// Directory of a template set (user sets shadow bundled ones)
+function findSetDir(name) {
+    if (!/^[\w.-]+$/.test(name)) {
+        return null;
+    }
+    return [USER_TEMPLATES_DIR, BUNDLED_TEMPLATES_DIR]
+        .filter(Boolean)
+        .map(dir => path.join(dir, name))
+        .find(dir => fs.existsSync(dir)) || null;
+}
+
+// Load and parse a template set
+function loadTemplateSet(name) {
+    const dir = findSetDir(name);
+    if (!dir) {
+        throw new Error(`Unknown alert template set "${name}"`);
+    }
+
+    const settingsFile = path.join(dir, 'template.json');
+    const settings = fs.existsSync(settingsFile) ? JSON.parse(fs.readFileSync(settingsFile, 'utf8')) : {};
+    const templates = {};
+
+    TEMPLATE_NAMES.forEach(templateName => {
+        let file = path.join(dir, `${templateName}.html`);
+        if (!fs.existsSync(file)) {
+            file = path.join(BUNDLED_TEMPLATES_DIR, FALLBACK_SET, `${templateName}.html`);
+        }
+        templates[templateName] = parseTemplate(fs.readFileSync(file, 'utf8'), file);
+    });
+
+    logger.info(`📝 Alert template set "${name}" loaded from ${dir}`);
+    return {
+        name: name,
+        locale: settings.locale || 'en-CA',
+        strings: { ...DEFAULT_STRINGS, ...(settings.strings || {}) },
+        templates: templates
+    };
+}
+
+// A template set by name (loaded on first use; the default set when name is empty)
+function getTemplateSet(name = null) {
+    const setName = name || DEFAULT_TEMPLATE_SET;
+    if (!sets.has(setName)) {
+        sets.set(setName, loadTemplateSet(setName));
+    }
+    return sets.get(setName);
+}
+
+// A job with the card fields of its search in a locale. Jobs keep one card per search locale in
+// localizedCards; without a card in that locale the job's first card is used.
+function localizeJob(job, locale) {
+    const card = job.localizedCards && job.localizedCards[locale];
+    if (!card) {
+        return job;
+    }
+    const { distanceKm, homePoint, ...fields } = card; // Distances come from the nearest home point of any profile
+    return { ...job, ...fields };
+}
+
+// Render one of a set's templates as Telegram 'html' or plain 'text' (the markup stripped),
+// without the file's final newline
+function renderAlertTemplate(setName, templateName, context, format = 'text') {
+    const set = getTemplateSet(setName);
+    const html = renderNodes(set.templates[templateName], context).replace(/\r?\n$/, '');
+    return format === 'html' ? html : stripHtml(html);
+}
+
+// One of a set's strings, with {{placeholders}} filled in (plain text)
+function getTemplateString(setName, key, context = {}) {
+    const set = getTemplateSet(setName);
+    return stripHtml(renderNodes(parseTemplate(set.strings[key] || '', key), context));
+}
+
+module.exports = {
+    escapeHtml,
+    getTemplateSet,
+    localizeJob,
+    renderAlertTemplate,
+    getTemplateString
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { incCounter, observeHistogram } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('appsync');
+
+// Endpoint (point AMAZON_GRAPHQL_URL at replay/appsync-stub.js to run offline)
+const AMAZON_GRAPHQL_URL = process.env.AMAZON_GRAPHQL_URL || 'https://e5mquma77feepi2bdn4d6h3mpu.appsync-api.us-east-1.amazonaws.com/graphql';
+
+// Fixture recording: every successful response is saved here for replay/appsync-stub.js
+const RECORD_FIXTURES_DIR = process.env.RECORD_FIXTURES_DIR || null;
+let recordedCount = 0;
+
+// Request limits
+const REQUEST_TIMEOUT = parseInt(process.env.GRAPHQL_TIMEOUT_MS, 10) || 15000; // 15 seconds
+const MAX_RETRIES = parseInt(process.env.GRAPHQL_MAX_RETRIES, 10) || 2;
+const RETRY_BASE_DELAY = 1000; // 1 second, doubled per retry
+
+// Base class for AppSync failures. retryable errors are worth trying again later.
+class AppSyncError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = details.status || null;
+        this.retryable = Boolean(details.retryable);
+    }
+}
+
+// 401/403 - the token was rejected
+class AuthError extends AppSyncError {}
+
+// 429 - too many requests
+class RateLimitError extends AppSyncError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+        this.retryAfter = details.retryAfter || null;
+    }
+}
+
+// GraphQL errors in the response, or a response without the expected shape
+class GraphQLError extends AppSyncError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.errors = details.errors || [];
+    }
+}
+
+// Timeouts, connection failures and 5xx responses
+class NetworkError extends AppSyncError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+    }
+}
+
+// Request headers for a site (see sites.js) and locale/country (defaults match hiring.amazon.ca)
+function buildHeaders(token, options = {}) {
+    const site = options.site || {};
+    const baseUrl = site.baseUrl || 'https://hiring.amazon.ca';
+    return {
+        'accept': '*/*',
+        'accept-language': `${options.locale || site.locale || 'en-CA'},en;q=0.9`,
+        'authorization': `Bearer ${token}`,
+        'content-type': 'application/json',
+        'country': options.country || site.country || 'Canada',
+        'iscanary': 'false',
+        'origin': baseUrl,
+        'referer': `${baseUrl}/`,
+        'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'x-amz-user-agent': 'aws-amplify/5.0.0',
+        ...(site.headers || {})
+    };
+}
+
+// Save a response as a replay fixture ({ operation, variables, recordedAt, response })
+function recordFixture(operation, variables, response) {
+    try {
+        fs.mkdirSync(RECORD_FIXTURES_DIR, { recursive: true });
+        const file = path.join(RECORD_FIXTURES_DIR, `${Date.now()}-${String(++recordedCount).padStart(5, '0')}-${operation}.json`);
+        fs.writeFileSync(file, JSON.stringify({ operation: operation, variables: variables, recordedAt: Date.now(), response: response }, null, 2));
+    } catch (error) {
+        logger.error(`❌ Error recording fixture:`, error.message);
+    }
+}
+
+// Send one GraphQL request and return data[resultField], throwing a typed error on failure.
+// options: { token, query, variables, resultField, listField, site, locale, country, timeout }
+// listField, when set, must be an array inside the result (e.g. jobCards).
+async function sendGraphQL(options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeout || REQUEST_TIMEOUT);
+    const operation = options.query.operationName;
+    const startedAt = Date.now();
+
+    let response;
+    let data;
+    try {
+        response = await fetch((options.site && options.site.graphqlUrl) || AMAZON_GRAPHQL_URL, {
+            method: 'POST',
+            headers: buildHeaders(options.token, options),
+            body: JSON.stringify({
+                operationName: options.query.operationName,
+                variables: options.variables,
+                query: options.query.query
+            }),
+            signal: controller.signal
+        });
+
+        incCounter('graphql_requests_total', { operation: operation, status: response.status });
+        observeHistogram('graphql_request_duration_seconds', (Date.now() - startedAt) / 1000, { operation: operation });
+
+        if (response.status === 401 || response.status === 403) {
+            throw new AuthError(`Token rejected: ${response.status} ${response.statusText}`, { status: response.status });
+        }
+        if (response.status === 429) {
+            const retryAfter = parseFloat(response.headers.get('retry-after')) || null;
+            throw new RateLimitError('Rate limited by AppSync', { status: 429, retryAfter: retryAfter });
+        }
+        if (response.status >= 500) {
+            throw new NetworkError(`AppSync server error: ${response.status} ${response.statusText}`, { status: response.status });
+        }
+        if (!response.ok) {
+            // AppSync answers request validation failures with a 400 and GraphQL errors
+            const body = await response.json().catch(() => null);
+            if (body && Array.isArray(body.errors) && body.errors.length > 0) {
+                throw new GraphQLError(`API Error (HTTP ${response.status}): ${body.errors[0].message}`, { status: response.status, errors: body.errors });
+            }
+            throw new AppSyncError(`HTTP error! status: ${response.status}`, { status: response.status });
+        }
+
+        data = await response.json();
+        if (RECORD_FIXTURES_DIR && !(data.errors && data.errors.length > 0)) {
+            recordFixture(operation, options.variables, data);
+        }
+    } catch (error) {
+        if (error instanceof AppSyncError) {
+            throw error;
+        }
+        if (!response) {
+            incCounter('graphql_requests_total', { operation: operation, status: error.name === 'AbortError' ? 'timeout' : 'network_error' });
+        }
+        if (error.name === 'AbortError') {
+            throw new NetworkError(`AppSync request timed out after ${options.timeout || REQUEST_TIMEOUT}ms`);
+        }
+        throw new NetworkError(`AppSync request failed: ${error.message}`);
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (data.errors && data.errors.length > 0) {
+        const unauthorized = data.errors.some(error => /unauthori[sz]ed/i.test(error.errorType || error.message || ''));
+        if (unauthorized) {
+            throw new AuthError(`Token rejected: ${data.errors[0].message}`, { status: response.status });
+        }
+        throw new GraphQLError(`API Error: ${data.errors[0].message}`, { status: response.status, errors: data.errors });
+    }
+
+    const result = data.data && data.data[options.resultField];
+    if (!result || typeof result !== 'object') {
+        throw new GraphQLError(`Unexpected response shape: missing data.${options.resultField} (got ${Object.keys(data).join(', ')})`, { status: response.status });
+    }
+    if (options.listField && result[options.listField] !== null && result[options.listField] !== undefined &&
+        !Array.isArray(result[options.listField])) {
+        throw new GraphQLError(`Unexpected response shape: ${options.resultField}.${options.listField} is not a list`, { status: response.status });
+    }
+
+    return result;
+}
+
+// Client that gets its token from hooks, retries retryable failures a bounded number of
+// times and refreshes the token once on auth failures.
+// hooks: { site, getToken() => token, onAuthError(error, token) => true to retry with getToken() }
+// (one client per site, so each site keeps its own token)
+function createAppSyncClient(hooks) {
+    async function request(options) {
+        let authRetried = false;
+        let retries = 0;
+
+        while (true) {
+            let token = null;
+            try {
+                token = await hooks.getToken();
+                return await sendGraphQL({ site: hooks.site, ...options, token: token });
+            } catch (error) {
+                if (error instanceof AuthError && !authRetried && hooks.onAuthError) {
+                    authRetried = true;
+                    logger.info(`🔄 ${error.message}${hooks.site ? ` (site ${hooks.site.name})` : ''} - checking token...`);
+                    if (await hooks.onAuthError(error, token)) {
+                        continue;
+                    }
+                    throw error;
+                }
+
+                const maxRetries = options.maxRetries !== undefined ? options.maxRetries : MAX_RETRIES;
+                if (error.retryable && retries < maxRetries) {
+                    retries++;
+                    const delay = error.retryAfter ? error.retryAfter * 1000 : RETRY_BASE_DELAY * Math.pow(2, retries - 1);
+                    logger.warn(`⚠️  ${error.message} - retry ${retries}/${maxRetries} in ${delay}ms`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    continue;
+                }
+
+                throw error;
+            }
+        }
+    }
+
+    return {
+        request
+    };
+}
+
+module.exports = {
+    AMAZON_GRAPHQL_URL,
+    AppSyncError,
+    AuthError,
+    RateLimitError,
+    GraphQLError,
+    NetworkError,
+    sendGraphQL,
+    createAppSyncClient
+};
@@ -1,80 +1,102 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
-const fetch = require('node-fetch');
-const { getValidToken, validateTokenWithServer } = require('./token-extractor');
+const { getValidToken, validateTokenWithServer, getTokenExpiry, cleanup } = require('./token-extractor');
+const { loadSearchProfiles, buildJobSearchRequest, buildScheduleSearchRequest, buildJobDetailUrl } = require('./search-profiles');
+const { DEFAULT_TIMEZONE, hasAlertRulesFile, loadAlertRules } = require('./alert-rules');
+const { loadSeenJobStore, recordSightings, markMissingJobs, needsScheduleCheck, scheduleCountChanged, updateJobSchedules, flushSeenJobStore, getSeenJobCount } = require('./seen-job-store');
+const { startBotCommands, stopBotCommands, getSubscriberDestinations } = require('./telegram-bot');
+const { loadNotifiers, notifyAll, updatePostedAlerts, deliverDigests, getNotifierSenders } = require('./notifiers');
+const { loadJobHistoryStore, recordJobHistory, recordScheduleHistory, flushJobHistoryStore } = require('./job-history-store');
+const { loadPostedAlertStore } = require('./posted-alert-store');
+const { loadDigestStore } = require('./digest-store');
+const { registerGauge } = require('./metrics');
+const { startHealthServer, stopHealthServer } = require('./health-server');
+const { getTemplateSet, localizeJob, renderAlertTemplate } = require('./alert-templates');
+const { loadAlertQueue, startAlertWorker, stopAlertWorker, getAlertQueueStats } = require('./alert-queue');
+const { startPollScheduler, stopPollScheduler, getSchedulerState } = require('./poll-scheduler');
+const { AuthError, GraphQLError, createAppSyncClient } = require('./appsync-client');
+const { loadSites, getSite } = require('./sites');
+const { resolveHomePoints, buildGeoQueryClause, filterJobsByDistance, formatDistance } = require('./home-points');
+const { getCachedSchedules, invalidateSchedules, getSchedulesForJobs } = require('./schedule-cache');
+const { createLogger, addSecret } = require('./logger');
 
-// Hardcoded endpoints
-const AMAZON_GRAPHQL_URL = 'https://e5mquma77feepi2bdn4d6h3mpu.appsync-api.us-east-1.amazonaws.com/graphql';
-const POLLING_INTERVAL = 1000; // 1 second
-const MAX_JOBS_PER_ALERT = 999;
+const logger = createLogger('monitor');
+
+// Pagination limits (per fetch)
+const MAX_SEARCH_PAGES = parseInt(process.env.MAX_SEARCH_PAGES, 10) || 20;
+const PAGINATION_TIME_LIMIT = parseInt(process.env.PAGINATION_TIME_LIMIT_MS, 10) || 15000; // 15 seconds
+
+// Token refresh: refresh this long before the exp claim, or after TOKEN_MAX_AGE when there is no exp
+const TOKEN_REFRESH_MARGIN = (parseFloat(process.env.TOKEN_REFRESH_MARGIN_MINUTES) || 5) * 60 * 1000;
+const TOKEN_MAX_AGE = (parseFloat(process.env.TOKEN_MAX_AGE_MINUTES) || 25) * 60 * 1000;
+// A site whose token refresh failed waits this long before trying again
+const TOKEN_RETRY_DELAY = (parseFloat(process.env.TOKEN_RETRY_DELAY_MINUTES) || 1) * 60 * 1000;
+
+// A site that rejected the distance search (geoQueryClause) is searched without it for this long
+const GEO_SEARCH_RETRY = (parseFloat(process.env.GEO_SEARCH_RETRY_MINUTES) || 60) * 60 * 1000;
+
+// Longest wait for the browser cleanup before the process exits anyway
+const CLEANUP_TIMEOUT = 10 * 1000;
 
 // Simple setup function - only environment variables
 function setupTelegramCredentials() {
-    console.log('🤖 Amazon Job Monitor - Modular Token System');
-    console.log('============================================\n');
+    logger.info('🤖 Amazon Job Monitor - Modular Token System');
     
-    // Check for environment variables (required)
-    if (!process.env.TELEGRAM_BOT_TOKEN || !process.env.TELEGRAM_CHANNEL_ID) {
-        console.error('❌ Missing required environment variables!');
-        console.error('Please set TELEGRAM_BOT_TOKEN and TELEGRAM_CHANNEL_ID environment variables');
-        console.error('Example:');
-        console.error('  set TELEGRAM_BOT_TOKEN=your_bot_token');
-        console.error('  set TELEGRAM_CHANNEL_ID=@your_channel');
+    // Check for environment variables (required; TELEGRAM_CHANNEL_ID is optional with an alert rules file)
+    if (!process.env.TELEGRAM_BOT_TOKEN || (!process.env.TELEGRAM_CHANNEL_ID && !hasAlertRulesFile())) {
+        logger.error('❌ Missing required environment variables!');
+        logger.error('Please set TELEGRAM_BOT_TOKEN and TELEGRAM_CHANNEL_ID environment variables (or create alert-rules.json)');
+        logger.error('Example: set TELEGRAM_BOT_TOKEN=your_bot_token, set TELEGRAM_CHANNEL_ID=@your_channel');
         process.exit(1);
     }
     
-    console.log('📱 Using Telegram credentials from environment variables');
-    console.log('✅ Telegram credentials loaded from environment!');
-    console.log(`🌐 Using hardcoded endpoints:`);
-    console.log(`   GraphQL: ${AMAZON_GRAPHQL_URL}`);
-    console.log(`   Polling: ${POLLING_INTERVAL}ms`);
-    console.log(`   Token Management: Modular extraction system\n`);
-    
-    return {
+    const credentials = {
         TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN.trim(),
-        TELEGRAM_CHANNEL_ID: process.env.TELEGRAM_CHANNEL_ID.trim()
+        TELEGRAM_CHANNEL_ID: (process.env.TELEGRAM_CHANNEL_ID || '').trim() || null
     };
+    
+    // Never let these reach the logs
+    addSecret(credentials.TELEGRAM_BOT_TOKEN);
+    addSecret(credentials.TELEGRAM_CHANNEL_ID, 'chat');
+    
+    logger.info('✅ Telegram credentials loaded from environment');
+    logger.info('⏱️  Polling: adaptive (see poll-scheduler.js), token management: modular extraction system');
+    
+    return credentials;
 }
 
 // Configuration
 let config = null;
 
-// Track seen jobs and token management
-let seenJobIds = new Set();
-let currentAuthToken = null;
+// Token management per site (seen jobs are tracked in seen-job-store.js):
+// site name -> { site, token, strategy, obtainedAt, expiresAt, refreshing, authCheck, retryAt, geoSearchRetryAt, client }
+const siteStates = new Map();
+
+// Each profile's last successful fetch, { jobs, truncated } (stands in for a profile that failed this cycle)
+const lastJobsByProfile = new Map();
+
+// Last listed card of each job, by jobId, kept until a missing job has been gone for the re-alert
+// window (for the notice when a job leaves the listing)
+const listedJobs = new Map();
+
+// Monitor state (shown by /status, toggled by /pause and /resume)
+let monitorPaused = false;
+let lastPollAt = null;
+const startedAt = Date.now();
+
+// Search profiles (loaded from search-profiles.json in main)
+let searchProfiles = [];
+
+// Alert destinations (loaded from alert-rules.json in main)
+let alertDestinations = [];
 
-// Amazon GraphQL Queries
+// Enabled notifier backends (loaded from notifiers.json in main)
+let notifiers = [];
+
+// Amazon GraphQL Queries (variables are built per profile every cycle)
 const amazonQuery = {
     "operationName": "searchJobCardsByLocation",
-    "variables": {
-        "searchJobRequest": {
-            "locale": "en-CA",
-            "country": "Canada",
-            "keyWords": "",
-            "equalFilters": [],
-            "containFilters": [
-                {
-                    "key": "isPrivateSchedule",
-                    "val": ["false"]
-                }
-            ],
-            "rangeFilters": [{
-                "key": "hoursPerWeek",
-                "range": {
-                    "minimum": 0,
-                    "maximum": 50
-                }
-            }],
-            "dateFilters": [{
-                "key": "firstDayOnSite",
-                "range": { "startDate": new Date().toISOString().split('T')[0] }
-            }],
-            "sorters": [],
-            "pageSize": 50,
-            "consolidateSchedule": true
-        }
-    },
     "query": `query searchJobCardsByLocation($searchJobRequest: SearchJobRequest!) {
         searchJobCardsByLocation(searchJobRequest: $searchJobRequest) {
             nextToken
@@ -110,36 +132,6 @@ const amazonQuery = {
 // Schedule query to get detailed schedule information for a specific job
 const scheduleQuery = {
     "operationName": "searchScheduleCards",
-    "variables": {
-        "searchScheduleRequest": {
-            "locale": "en-CA",
-            "country": "Canada",
-            "keyWords": "",
-            "equalFilters": [],
-            "containFilters": [
-                {
-                    "key": "isPrivateSchedule",
-                    "val": ["false"]
-                }
-            ],
-            "rangeFilters": [],
-            "orFilters": [],
-            "dateFilters": [
-                {
-                    "key": "firstDayOnSite",
-                    "range": { "startDate": new Date().toISOString().split('T')[0] }
-                }
-            ],
-            "sorters": [
-                {
-                    "fieldName": "totalPayRateMax",
-                    "ascending": "false"
-                }
-            ],
-            "pageSize": 1000,
-            "jobId": ""
-        }
-    },
     "query": `query searchScheduleCards($searchScheduleRequest: SearchScheduleRequest!) {
         searchScheduleCards(searchScheduleRequest: $searchScheduleRequest) {
             nextToken
@@ -168,179 +160,328 @@ const scheduleQuery = {
     }`
 };
 
-// Get valid token from token extractor module
-async function ensureValidToken() {
-    try {
-        if (!currentAuthToken) {
-            console.log(`[${new Date().toISOString()}] 🔑 No token available, getting fresh token...`);
-            currentAuthToken = await getValidToken();
-            console.log(`[${new Date().toISOString()}] ✅ Fresh token obtained: ${currentAuthToken.substring(0, 9999)}...`);
-            return currentAuthToken;
-        }
-        
-        // Validate existing token
-        console.log(`[${new Date().toISOString()}] 🔍 Validating existing token...`);
-        const validation = await validateTokenWithServer(currentAuthToken);
-        
-        if (validation.isValid) {
-            console.log(`[${new Date().toISOString()}] ✅ Existing token is valid`);
-            return currentAuthToken;
-        } else {
-            console.log(`[${new Date().toISOString()}] ❌ Existing token is invalid, getting fresh token...`);
-            currentAuthToken = await getValidToken();
-            console.log(`[${new Date().toISOString()}] ✅ Fresh token obtained: ${currentAuthToken.substring(0, 9999)}...`);
-            return currentAuthToken;
-        }
-        
-    } catch (error) {
-        console.error(`[${new Date().toISOString()}] ❌ Error ensuring valid token:`, error.message);
-        throw error;
+// Format milliseconds as minutes for token logs
+function formatMinutes(ms) {
+    return `${(ms / 60000).toFixed(1)}m`;
+}
+
+// Refresh margin and max token age of a site (sites.json can override the defaults)
+function tokenRefreshMargin(site) {
+    return site.tokenRefreshMarginMinutes ? site.tokenRefreshMarginMinutes * 60 * 1000 : TOKEN_REFRESH_MARGIN;
+}
+
+function tokenMaxAge(site) {
+    return site.tokenMaxAgeMinutes ? site.tokenMaxAgeMinutes * 60 * 1000 : TOKEN_MAX_AGE;
+}
+
+// Get a fresh token for a site from the token extractor module (one refresh at a time per site).
+// After a failure the site waits TOKEN_RETRY_DELAY before the next attempt.
+function refreshToken(state, reason) {
+    if (state.refreshing) {
+        return state.refreshing;
     }
+    
+    logger.info(`🔑 ${reason} (site ${state.site.name}), getting fresh token...`);
+    state.refreshing = getValidToken(state.site)
+        .then(({ token, strategy }) => {
+            state.token = token;
+            state.strategy = strategy;
+            state.obtainedAt = Date.now();
+            state.expiresAt = getTokenExpiry(token);
+            state.retryAt = null;
+            logger.info(`✅ Fresh token obtained for site ${state.site.name} (${token.length} characters, strategy: ${strategy})`);
+            logger.info(`⏳ Token expires ${state.expiresAt ? `in ${formatMinutes(state.expiresAt - Date.now())}` : 'at an unknown time (no exp claim)'}`);
+            return token;
+        })
+        .catch(error => {
+            state.retryAt = Date.now() + TOKEN_RETRY_DELAY;
+            logger.error(`❌ Token refresh failed for site ${state.site.name} (next try in ${formatMinutes(TOKEN_RETRY_DELAY)}):`, error.message);
+            throw error;
+        })
+        .finally(() => {
+            state.refreshing = null;
+        });
+    return state.refreshing;
 }
 
-// Fetch jobs from Amazon API
-async function fetchAmazonJobs() {
-    try {
-        console.log(`[${new Date().toISOString()}] 🔄 Starting job fetch cycle...`);
-        
-        // Ensure we have a valid token
-        const token = await ensureValidToken();
-        
-        console.log(`[${new Date().toISOString()}] 📡 Querying GraphQL endpoint: ${AMAZON_GRAPHQL_URL}`);
-        
-        const headers = {
-            'accept': '*/*',
-            'accept-language': 'en-CA,en;q=0.9',
-            'authorization': `Bearer ${token}`,
-            'content-type': 'application/json',
-            'country': 'Canada',
-            'iscanary': 'false',
-            'origin': 'https://hiring.amazon.ca',
-            'referer': 'https://hiring.amazon.ca/',
-            'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            'x-amz-user-agent': 'aws-amplify/5.0.0'
-        };
-        
-        console.log(`[${new Date().toISOString()}] 📤 Sending GraphQL query...`);
-        
-        const response = await fetch(AMAZON_GRAPHQL_URL, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(amazonQuery)
+// Why a site's token should be replaced (null while it is fresh)
+function tokenRefreshReason(state, now) {
+    if (!state.token) {
+        return 'No token available';
+    }
+    
+    const tokenAge = now - state.obtainedAt;
+    if (state.expiresAt && state.expiresAt - now <= tokenRefreshMargin(state.site)) {
+        return `Token expires in ${formatMinutes(state.expiresAt - now)}`;
+    }
+    if (!state.expiresAt && tokenAge >= tokenMaxAge(state.site)) {
+        return `Token without exp claim is ${formatMinutes(tokenAge)} old`;
+    }
+    return null;
+}
+
+// A site's usable token, or null while it has none. Refreshes run in the background (an
+// expiring token is used until its replacement arrives), so one site's slow or failing token
+// extraction never holds up the other sites.
+function getSiteToken(state) {
+    const now = Date.now();
+    const reason = tokenRefreshReason(state, now);
+    
+    if (reason && !state.refreshing && !(state.retryAt && now < state.retryAt)) {
+        refreshToken(state, reason).catch(() => {}); // Logged by refreshToken
+    }
+    if (state.token && state.expiresAt && state.expiresAt <= now) {
+        return null; // Expired - wait for the refresh
+    }
+    
+    logger.debug(`🔑 Token age ${state.token ? formatMinutes(now - state.obtainedAt) : 'n/a'} (site ${state.site.name}), expires ${state.expiresAt ? `in ${formatMinutes(state.expiresAt - now)}` : 'unknown'}`);
+    return state.token;
+}
+
+// Handle an AuthError from a site's AppSync client (token: the one the failed request used).
+// Concurrent failures share one check per site. Resolves to true when the client should retry
+// the request once with the site's current token.
+function handleAuthFailure(state, error, token) {
+    if (token && state.token && token !== state.token) {
+        return Promise.resolve(true); // Replaced since the request was sent
+    }
+    if (!state.authCheck) {
+        state.authCheck = checkRejectedToken(state, error).finally(() => {
+            state.authCheck = null;
         });
+    }
+    return state.authCheck;
+}
 
-        console.log(`[${new Date().toISOString()}] 📥 Response received: ${response.status} ${response.statusText}`);
-
-        // Handle response based on status
-        if (response.status === 200) {
-            console.log(`[${new Date().toISOString()}] ✅ 200 OK - Token is valid, continuing job fetch process...`);
-        } else if (response.status === 401 || response.status === 403) {
-            console.log(`[${new Date().toISOString()}] 🔄 ${response.status} - Token expired/invalid, getting fresh token...`);
-            currentAuthToken = null; // Clear invalid token
-            const newToken = await ensureValidToken();
-            console.log(`[${new Date().toISOString()}] 🔄 Retrying job fetch with fresh token...`);
-            return await fetchAmazonJobs(); // Retry with new token
-        } else if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
+// Check a rejected token with the server and, if it is really invalid, drop it and start a
+// refresh in the background. The request is then not retried: the site is skipped until the new
+// token arrives, so one site's browser extraction never stalls the other sites' poll.
+async function checkRejectedToken(state, error) {
+    const reason = error.status || error.message;
+    
+    if (!state.token) {
+        return false; // Nothing to validate - waits for the running or next refresh
+    }
+    
+    logger.info(`🔍 ${reason} received (site ${state.site.name}), validating token with server...`);
+    const validation = await validateTokenWithServer(state.token, state.site);
+    
+    if (validation.isValid) {
+        logger.info(`✅ Token is still valid, keeping it`);
+        return true;
+    }
+    
+    state.token = null; // Clear invalid token
+    state.retryAt = null;
+    refreshToken(state, `Token rejected with ${reason}`).catch(() => {}); // Logged by refreshToken
+    return false;
+}
 
-        const data = await response.json();
-        console.log(`[${new Date().toISOString()}] 📊 Response data received, parsing...`);
+// Token and AppSync client state for a site
+function createSiteState(site) {
+    const state = { site: site, token: null, strategy: null, obtainedAt: null, expiresAt: null, refreshing: null, authCheck: null, retryAt: null, geoSearchRetryAt: null };
+    state.client = createAppSyncClient({
+        site: site,
+        getToken: () => {
+            if (!state.token) {
+                throw new AuthError(`No token for site ${site.name} yet`);
+            }
+            return state.token;
+        },
+        onAuthError: (error, token) => handleAuthFailure(state, error, token)
+    });
+    return state;
+}
+
+// When the oldest site token was obtained (null while any site has no token)
+function oldestTokenObtainedAt() {
+    const states = Array.from(siteStates.values());
+    if (states.length === 0 || states.some(state => !state.token)) {
+        return null;
+    }
+    return Math.min(...states.map(state => state.obtainedAt));
+}
+
+// State of the site a profile searches
+function getProfileSiteState(profile) {
+    return siteStates.get(profile.site);
+}
+
+// Fetch every page of a profile's job search, optionally limited to a home point's radius.
+// Resolves to { jobs, truncated }; truncated is true when a page or time limit cut the listing short.
+async function fetchJobCards(state, profile, geoQueryClause = null) {
+    const jobs = [];
+    const startedAt = Date.now();
+    let nextToken = null;
+    let pages = 0;
+    let truncated = false;
+    
+    do {
+        logger.debug(`📤 Sending GraphQL query (page ${pages + 1})...`);
         
-        if (data.errors) {
-            console.error(`[${new Date().toISOString()}] ❌ GraphQL errors:`, data.errors);
-            throw new Error(`API Error: ${data.errors[0].message}`);
+        const result = await state.client.request({
+            query: amazonQuery,
+            variables: {
+                searchJobRequest: buildJobSearchRequest(profile, 50, nextToken, geoQueryClause)
+            },
+            resultField: 'searchJobCardsByLocation',
+            listField: 'jobCards',
+            locale: profile.locale,
+            country: profile.country
+        });
+
+        pages++;
+        jobs.push(...(result.jobCards || []));
+        nextToken = result.nextToken || null;
+        
+        if (nextToken && pages >= MAX_SEARCH_PAGES) {
+            logger.warn(`⚠️  Stopped after ${pages} pages (MAX_SEARCH_PAGES reached)`);
+            truncated = true;
+            break;
         }
+        if (nextToken && Date.now() - startedAt >= PAGINATION_TIME_LIMIT) {
+            logger.warn(`⚠️  Stopped after ${pages} pages (PAGINATION_TIME_LIMIT_MS reached)`);
+            truncated = true;
+            break;
+        }
+    } while (nextToken);
+
+    logger.info(`✅ Successfully fetched ${jobs.length} jobs from Amazon API in ${pages} page(s) (profile "${profile.name}"${geoQueryClause ? `, within ${geoQueryClause.distance} km` : ''})`);
+    return { jobs, truncated };
+}
+
+// Whether a search failed because the API doesn't accept geoQueryClause (its errors name it)
+function isGeoQueryRejected(error) {
+    return error instanceof GraphQLError && error.errors.some(entry => /geoQueryClause/.test(entry.message || ''));
+}
+
+// Whether a site's searches take a geoQueryClause now (not disabled for the site, and not
+// rejected within the last GEO_SEARCH_RETRY)
+function canGeoSearch(state) {
+    return state.site.geoSearch && (!state.geoSearchRetryAt || Date.now() >= state.geoSearchRetryAt);
+}
 
-        if (!data.data || !data.data.searchJobCardsByLocation) {
-            console.log(`[${new Date().toISOString()}] ⚠️  No job data in response structure`);
-            console.log(`[${new Date().toISOString()}] 📝 Response structure:`, Object.keys(data));
-            return [];
+// Jobs within range of a profile's home points, each with its distance from the nearest one.
+// Every point is searched with a geoQueryClause while the site accepts it; otherwise the
+// profile's unfiltered results are measured against each point here. Resolves to { jobs, truncated }.
+async function fetchJobsNearHomePoints(state, profile) {
+    const jobsById = new Map();
+    let unfiltered = null;
+    let truncated = false;
+    
+    for (const point of profile.homePoints) {
+        let result = null;
+        if (canGeoSearch(state)) {
+            try {
+                result = await fetchJobCards(state, profile, buildGeoQueryClause(point));
+                if (state.geoSearchRetryAt) {
+                    state.geoSearchRetryAt = null;
+                    logger.info(`✅ Site ${state.site.name} accepts the distance search again`);
+                }
+            } catch (error) {
+                if (!isGeoQueryRejected(error)) {
+                    throw error;
+                }
+                state.geoSearchRetryAt = Date.now() + GEO_SEARCH_RETRY;
+                logger.warn(`⚠️  Site ${state.site.name} rejected the distance search (${error.message}), filtering by distance locally for ${formatMinutes(GEO_SEARCH_RETRY)}`);
+            }
+        }
+        const geoSearched = result !== null;
+        if (!geoSearched) {
+            unfiltered = unfiltered || await fetchJobCards(state, profile);
+            result = unfiltered;
         }
+        truncated = truncated || result.truncated;
+        
+        const jobs = result.jobs;
+        const nearby = filterJobsByDistance(jobs, point, geoSearched, profile.unknownLocation);
+        logger.debug(`📍 ${nearby.length} of ${jobs.length} job(s) within ${point.radiusKm} km of "${point.name}" (profile "${profile.name}")`);
+        nearby.forEach(job => {
+            const existing = jobsById.get(job.jobId);
+            if (!existing || (job.distanceKm !== null && (existing.distanceKm === null || job.distanceKm < existing.distanceKm))) {
+                jobsById.set(job.jobId, job);
+            }
+        });
+    }
+    
+    return { jobs: Array.from(jobsById.values()), truncated };
+}
 
-        const jobs = data.data.searchJobCardsByLocation.jobCards || [];
-        console.log(`[${new Date().toISOString()}] ✅ Successfully fetched ${jobs.length} jobs from Amazon API`);
+// Fetch jobs from Amazon API for a search profile (throws a typed appsync-client error on failure).
+// Resolves to { jobs, truncated }
+async function fetchAmazonJobs(profile) {
+    try {
+        const state = getProfileSiteState(profile);
+        logger.debug(`🔄 Starting job fetch cycle for profile "${profile.name}" (site ${state.site.name})...`);
+        logger.debug(`📡 Querying GraphQL endpoint: ${state.site.graphqlUrl}`);
+        
+        const result = profile.homePoints.length > 0
+            ? await fetchJobsNearHomePoints(state, profile)
+            : await fetchJobCards(state, profile);
+        const jobs = result.jobs;
         
         if (jobs.length > 0) {
-            console.log(`[${new Date().toISOString()}] 📋 Sample job titles:`);
+            logger.debug(`📋 Sample job titles:`);
             jobs.slice(0, 3).forEach((job, index) => {
-                console.log(`[${new Date().toISOString()}]    ${index + 1}. ${job.jobTitle} in ${job.city || job.locationName}`);
+                logger.debug(`   ${index + 1}. ${job.jobTitle} in ${job.city || job.locationName}`);
             });
         }
         
-        return jobs;
+        return result;
         
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ❌ Error fetching jobs:`, error.message);
-        return [];
+        logger.error(`❌ Error fetching jobs (${error.name}):`, error.message);
+        throw error;
     }
 }
 
-// Fetch schedules for a specific job
-async function fetchJobSchedules(jobId, token) {
+// Fetch schedules for a specific job (null when the fetch failed)
+async function fetchJobSchedules(jobId, profile) {
     try {
-        console.log(`[${new Date().toISOString()}] 📅 Fetching schedules for job: ${jobId}`);
-        
-        // Update the schedule query with the specific job ID
-        const queryWithJobId = {
-            ...scheduleQuery,
-            variables: {
-                ...scheduleQuery.variables,
-                searchScheduleRequest: {
-                    ...scheduleQuery.variables.searchScheduleRequest,
-                    jobId: jobId
-                }
+        logger.debug(`📅 Fetching schedules for job: ${jobId}`);
+        
+        const schedules = [];
+        const startedAt = Date.now();
+        let nextToken = null;
+        let pages = 0;
+        
+        do {
+            // Build the schedule query for the profile and the specific job ID
+            const result = await getProfileSiteState(profile).client.request({
+                query: scheduleQuery,
+                variables: {
+                    searchScheduleRequest: buildScheduleSearchRequest(profile, jobId, 1000, nextToken)
+                },
+                resultField: 'searchScheduleCards',
+                listField: 'scheduleCards',
+                locale: profile.locale,
+                country: profile.country
+            });
+            
+            pages++;
+            schedules.push(...(result.scheduleCards || []));
+            nextToken = result.nextToken || null;
+            
+            if (nextToken && (pages >= MAX_SEARCH_PAGES || Date.now() - startedAt >= PAGINATION_TIME_LIMIT)) {
+                logger.warn(`⚠️  Stopped schedule fetch for job ${jobId} after ${pages} pages (page/time limit reached)`);
+                break;
             }
-        };
-        
-        const headers = {
-            'accept': '*/*',
-            'accept-language': 'en-CA,en;q=0.9',
-            'authorization': `Bearer ${token}`,
-            'content-type': 'application/json',
-            'country': 'Canada',
-            'iscanary': 'false',
-            'origin': 'https://hiring.amazon.ca',
-            'referer': 'https://hiring.amazon.ca/',
-            'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            'x-amz-user-agent': 'aws-amplify/5.0.0'
-        };
-        
-        const response = await fetch(AMAZON_GRAPHQL_URL, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(queryWithJobId)
-        });
-        
-        if (!response.ok) {
-            console.log(`[${new Date().toISOString()}] ⚠️  Schedule fetch failed for job ${jobId}: ${response.status}`);
-            return [];
-        }
-        
-        const data = await response.json();
-        
-        if (data.errors) {
-            console.log(`[${new Date().toISOString()}] ⚠️  Schedule query errors for job ${jobId}:`, data.errors);
-            return [];
-        }
+        } while (nextToken);
         
-        const schedules = data.data?.searchScheduleCards?.scheduleCards || [];
-        console.log(`[${new Date().toISOString()}] ✅ Found ${schedules.length} schedules for job ${jobId}`);
+        logger.debug(`✅ Found ${schedules.length} schedules for job ${jobId} in ${pages} page(s)`);
         
         return schedules;
         
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ❌ Error fetching schedules for job ${jobId}:`, error.message);
-        return [];
+        logger.warn(`⚠️  Schedule fetch failed for job ${jobId} (${error.name}):`, error.message);
+        return null;
     }
 }
 
-// Format job for Telegram message
-async function formatJobForTelegram(job, token) {
-    // Get current time in a readable format
-    const now = new Date();
-    const timeString = now.toLocaleString('en-CA', {
-        timeZone: 'America/Toronto', // Eastern Time (Canada)
+// Current time in a readable format, in a destination's timezone and template locale
+function formatAlertTime(timeZone = DEFAULT_TIMEZONE, locale = 'en-CA') {
+    return new Date().toLocaleString(locale, {
+        timeZone: timeZone,
         year: 'numeric',
         month: '2-digit',
         day: '2-digit',
@@ -349,190 +490,375 @@ async function formatJobForTelegram(job, token) {
         second: '2-digit',
         hour12: false
     });
-    
-    let formatted = `----------------------------\n`;
-    formatted += `Location: ${job.locationName || job.city}\n`;
-    formatted += `Shifts: ${job.scheduleCount || 1}\n`;
-    formatted += `Type: ${job.jobTypeL10N || job.employmentTypeL10N || 'Flex Time'}\n`;
-    formatted += `Job: ${job.jobId}\n`;
-    
-    if (job.totalPayRateMinL10N && job.totalPayRateMaxL10N) {
-        formatted += `Pay: ${job.totalPayRateMinL10N} - ${job.totalPayRateMaxL10N}\n`;
-    } else if (job.totalPayRateMinL10N) {
-        formatted += `Pay: ${job.totalPayRateMinL10N} CAD\n`;
-    } else {
-        formatted += `Pay: See posting\n`;
+}
+
+// Search profile a job was found with (used for schedule lookups)
+function getJobProfile(job) {
+    return searchProfiles.find(p => p.name === job.matchedProfiles[0]);
+}
+
+// Template placeholders for a job: every job card field plus time, link, profiles, site and
+// distance details (see templates/), from the job's card in the template set's locale.
+// options: { timeZone, templates }
+function buildAlertContext(job, options) {
+    const locale = getTemplateSet(options.templates).locale;
+    return {
+        ...localizeJob(job, locale),
+        profiles: job.matchedProfiles.join(', '),
+        showSite: siteStates.size > 1,
+        homeDistance: typeof job.distanceKm === 'number' ? formatDistance(job.distanceKm) : null,
+        time: formatAlertTime(options.timeZone, locale),
+        link: buildJobDetailUrl(job, null, locale)
+    };
+}
+
+// Format job for Telegram message from the destination's new_job template. format is 'text'
+// (plain, used by every notifier) or 'html' (Telegram parse_mode HTML);
+// options: { timeZone, templates } of the destination
+async function formatJobForTelegram(job, format = 'text', options = {}) {
+    // Schedule information (prefetched this cycle, cached, or fetched now)
+    let schedules = null;
+    try {
+        schedules = job.schedules || getCachedSchedules(job.jobId) || await fetchJobSchedules(job.jobId, getJobProfile(job));
+    } catch (error) {
+        schedules = null;
     }
     
-    formatted += `Time: ${timeString}\n\n`;
+    return renderAlertTemplate(options.templates, 'new_job', {
+        ...buildAlertContext(job, options),
+        schedules: schedules || [],
+        schedulesUnavailable: !schedules
+    }, format);
+}
+
+// Format newly opened schedules of an already-alerted job for Telegram message
+async function formatNewSchedulesForTelegram(job, format = 'text', options = {}) {
+    return renderAlertTemplate(options.templates, 'new_schedules', buildAlertContext(job, options), format);
+}
+
+// Format notice that every schedule of a job has vanished for Telegram message
+async function formatSchedulesGoneForTelegram(job, format = 'text', options = {}) {
+    return renderAlertTemplate(options.templates, 'schedules_gone', buildAlertContext(job, options), format);
+}
+
+// Fetch one site's profiles in turn. Profiles are skipped (waiting) while the site has no token.
+// Returns [{ profile, jobs, truncated } | { profile, error } | { profile, waiting: true }]
+async function fetchSiteProfiles(state) {
+    const results = [];
     
-    // Fetch and add schedule information
-    try {
-        const schedules = await fetchJobSchedules(job.jobId, token);
-        if (schedules.length > 0) {
-            formatted += `📅 Available Schedules:\n`;
-            schedules.forEach((schedule, index) => {
-                formatted += `   ${index + 1}. Schedule ID: ${schedule.scheduleId}\n`;
-                if (schedule.firstDayOnSite) {
-                    formatted += `      Start: ${schedule.firstDayOnSite}\n`;
-                }
-                if (schedule.hoursPerWeek) {
-                    formatted += `      Hours: ${schedule.hoursPerWeek}/week\n`;
-                }
-                if (schedule.totalPayRateL10N) {
-                    formatted += `      Pay: ${schedule.totalPayRateL10N}\n`;
-                }
-                formatted += `\n`;
-            });
-        } else {
-            formatted += `📅 No schedules available\n\n`;
+    for (const profile of searchProfiles.filter(p => p.site === state.site.name)) {
+        if (!getSiteToken(state)) {
+            results.push({ profile: profile, waiting: true });
+            continue;
+        }
+        try {
+            results.push({ profile: profile, ...await fetchAmazonJobs(profile) });
+        } catch (error) {
+            results.push({ profile: profile, error: error });
         }
-    } catch (error) {
-        formatted += `📅 Schedule info unavailable\n\n`;
     }
     
-    formatted += `Link: https://hiring.amazon.ca/app#/jobDetail?jobId=${job.jobId}&locale=en-CA\n`;
-    formatted += `------------------------------`;
-    
-    return formatted;
+    return results;
 }
 
-// Send Telegram alert
-async function sendTelegramAlert(jobs) {
-    try {
-        if (!config.TELEGRAM_BOT_TOKEN || !config.TELEGRAM_CHANNEL_ID) {
-            console.error(`[${new Date().toISOString()}] ❌ Telegram configuration missing!`);
+// Fetch jobs for every search profile (sites in parallel), merged by jobId and tagged with their
+// site, the matching profiles and one card per profile locale (localizedCards). A profile that
+// failed or is waiting for its site's token contributes the jobs of its last successful fetch,
+// so the other sites' listings keep closing;
+// complete is false when such a profile has never been fetched, or when a page or time limit
+// truncated a profile's listing (the jobs past the limit are not gone).
+// Throws when every fetch failed; waiting is true when no site had a token.
+async function fetchJobsForAllProfiles() {
+    const jobsById = new Map();
+    const siteResults = await Promise.all(Array.from(siteStates.values()).map(fetchSiteProfiles));
+    const results = [].concat(...siteResults)
+        .sort((a, b) => searchProfiles.indexOf(a.profile) - searchProfiles.indexOf(b.profile));
+    const failures = results.filter(result => result.error).map(result => result.error);
+    const fetched = results.filter(result => result.jobs);
+    
+    if (fetched.length === 0 && failures.length > 0) {
+        throw failures[0];
+    }
+    if (fetched.length === 0) {
+        return { jobs: [], complete: false, waiting: true };
+    }
+    
+    let complete = true;
+    results.forEach(result => {
+        let listing = result.jobs ? { jobs: result.jobs, truncated: result.truncated } : null;
+        if (listing) {
+            lastJobsByProfile.set(result.profile.name, listing);
+        } else if (lastJobsByProfile.has(result.profile.name)) {
+            listing = lastJobsByProfile.get(result.profile.name);
+            logger.debug(`♻️  Using the last ${listing.jobs.length} job(s) of profile "${result.profile.name}" (${result.waiting ? 'waiting for a token' : 'fetch failed'})`);
+        } else {
+            complete = false;
             return;
         }
-
-        console.log(`[${new Date().toISOString()}] 📱 Sending Telegram alerts for ${jobs.length} jobs...`);
-
-        // Send individual job alerts to avoid rate limiting
-        for (let i = 0; i < jobs.length && i < MAX_JOBS_PER_ALERT; i++) {
-            const job = jobs[i];
-            
-            // Get current valid token for schedule fetching
-            const token = await ensureValidToken();
-            
-            // Simple message with just the formatted job info
-            const message = await formatJobForTelegram(job, token);
-            
-            const telegramResponse = await fetch(`https://api.telegram.org/bot${config.TELEGRAM_BOT_TOKEN}/sendMessage`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    chat_id: config.TELEGRAM_CHANNEL_ID,
-                    text: message
-                })
-            });
-
-            if (telegramResponse.status === 429) {
-                console.log(`[${new Date().toISOString()}] ⚠️  Rate limited! Waiting 10 seconds...`);
-                await new Promise(resolve => setTimeout(resolve, 10000));
-                i--; // Retry this job
-                continue;
+        if (listing.truncated) {
+            complete = false;
+        }
+        
+        listing.jobs.forEach(job => {
+            const existing = jobsById.get(job.jobId);
+            if (existing) {
+                existing.matchedProfiles.push(result.profile.name);
+                if (!existing.localizedCards[result.profile.locale]) {
+                    existing.localizedCards[result.profile.locale] = job;
+                }
+                if (typeof job.distanceKm === 'number' && (typeof existing.distanceKm !== 'number' || job.distanceKm < existing.distanceKm)) {
+                    existing.distanceKm = job.distanceKm;
+                    existing.homePoint = job.homePoint;
+                }
+            } else {
+                jobsById.set(job.jobId, { ...job, site: result.profile.site, matchedProfiles: [result.profile.name], localizedCards: { [result.profile.locale]: job } });
             }
+        });
+    });
+    
+    return { jobs: Array.from(jobsById.values()), complete: complete, waiting: false };
+}
 
-            if (!telegramResponse.ok) {
-                console.error(`[${new Date().toISOString()}] ❌ Telegram API error: ${telegramResponse.status}`);
-                continue;
-            }
+// Queue alerts for every enabled notifier; the alert worker sends them outside the polling cycle
+async function deliverAlerts(jobs, formatMessage = formatJobForTelegram, event = 'new_job') {
+    await notifyAll(notifiers, jobs, formatMessage, event);
+}
 
-            const result = await telegramResponse.json();
-            
-            if (result.ok) {
-                console.log(`[${new Date().toISOString()}] ✅ Job alert ${i + 1} sent successfully!`);
-            } else {
-                console.error(`[${new Date().toISOString()}] ❌ Telegram API error:`, result.description);
-            }
-            
-            // Wait 2 seconds between messages to avoid rate limiting
-            if (i < jobs.length - 1 && i < MAX_JOBS_PER_ALERT - 1) {
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
+// Fetch schedules (concurrently, through the schedule cache) for new jobs and for listed
+// jobs due a schedule check, and collect jobs with newly opened or vanished schedules.
+// Only a changed scheduleCount skips the cache; periodic re-checks reuse fresh cached schedules.
+async function checkJobSchedules(jobs, newJobs) {
+    const newJobIds = new Set(newJobs.map(job => job.jobId));
+    const opened = [];
+    const vanished = [];
+    
+    const toCheck = jobs.filter(job => newJobIds.has(job.jobId) || needsScheduleCheck(job));
+    toCheck.forEach(job => {
+        if (!newJobIds.has(job.jobId) && scheduleCountChanged(job)) {
+            invalidateSchedules(job.jobId); // The listing changed, so the cached schedules are stale
+        }
+    });
+    
+    const schedulesByJob = await getSchedulesForJobs(toCheck, job => fetchJobSchedules(job.jobId, getJobProfile(job)));
+    
+    for (const job of toCheck) {
+        const isNew = newJobIds.has(job.jobId);
+        const schedules = schedulesByJob.get(job.jobId);
+        if (!schedules) {
+            continue; // Fetch failed - keep the previous schedules
         }
         
-        console.log(`[${new Date().toISOString()}] 📱 Completed sending alerts for ${Math.min(jobs.length, MAX_JOBS_PER_ALERT)} jobs`);
+        job.schedules = schedules;
+        recordScheduleHistory(job, schedules);
+        const changes = updateJobSchedules(job, schedules);
         
-    } catch (error) {
-        console.error(`[${new Date().toISOString()}] ❌ Error sending Telegram alert:`, error.message);
+        if (isNew || changes.baseline) {
+            continue;
+        }
+        if (changes.opened.length > 0) {
+            logger.info(`🆕 ${changes.opened.length} new schedule(s) for job ${job.jobId}`);
+            opened.push({ ...job, openedSchedules: changes.opened });
+        } else if (changes.vanished) {
+            logger.info(`🚫 All schedules vanished for job ${job.jobId}`);
+            vanished.push(job);
+        }
     }
+    
+    return { opened, vanished };
 }
 
-// Main polling function
+// Main polling function - one cycle, run by the poll scheduler.
+// Resolves to { status: 'ok' | 'error' | 'paused' | 'waiting', error } so the scheduler can back off.
 async function pollForJobs() {
+    if (monitorPaused) {
+        return { status: 'paused' };
+    }
+    
     try {
-        const jobs = await fetchAmazonJobs();
+        const { jobs, complete, waiting } = await fetchJobsForAllProfiles();
+        if (waiting) {
+            logger.debug(`⏳ No site has a token yet, skipping this cycle`);
+            return { status: 'waiting' };
+        }
+        lastPollAt = Date.now();
+        
+        // Keep the job history (listings close only after a complete fetch)
+        recordJobHistory(jobs, complete);
         
         if (jobs.length === 0) {
-            console.log(`[${new Date().toISOString()}] 📭 No jobs found in this cycle`);
-            return;
+            logger.debug(`📭 No jobs found in this cycle`); // Still processed: a complete empty fetch closes every listing
         }
         
-        // Filter for new jobs
-        const newJobs = jobs.filter(job => !seenJobIds.has(job.jobId));
+        // Record sightings and filter for new (or returning) jobs
+        const newJobs = recordSightings(jobs);
+        const leftJobs = [];
+        if (complete) {
+            markMissingJobs(new Set(jobs.map(job => job.jobId))).forEach(({ jobId, hadSchedules }) => {
+                const job = listedJobs.get(jobId);
+                listedJobs.delete(jobId);
+                if (job && hadSchedules) {
+                    logger.info(`🚫 Job ${jobId} left the listing with its schedules`);
+                    leftJobs.push(job);
+                }
+            });
+        }
+        jobs.forEach(job => listedJobs.set(job.jobId, job));
+        
+        // Track schedules per job
+        const scheduleChanges = await checkJobSchedules(jobs, newJobs);
+        scheduleChanges.vanished.push(...leftJobs);
+        flushSeenJobStore();
+        flushJobHistoryStore();
         
         if (newJobs.length > 0) {
-            console.log(`[${new Date().toISOString()}] 🎉 Found ${newJobs.length} new jobs!`);
-            
-            // Add new job IDs to seen set
-            newJobs.forEach(job => seenJobIds.add(job.jobId));
+            logger.info(`🎉 Found ${newJobs.length} new jobs!`);
             
-            // Send Telegram alert
-            await sendTelegramAlert(newJobs);
+            // Queue alerts for every notifier
+            await deliverAlerts(newJobs);
         } else {
-            console.log(`[${new Date().toISOString()}] 🔄 No new jobs found (${jobs.length} total jobs checked)`);
+            logger.debug(`🔄 No new jobs found (${jobs.length} total jobs checked)`);
         }
         
+        if (scheduleChanges.opened.length > 0) {
+            await deliverAlerts(scheduleChanges.opened, formatNewSchedulesForTelegram, 'new_schedules');
+        }
+        
+        if (scheduleChanges.vanished.length > 0) {
+            await deliverAlerts(scheduleChanges.vanished, formatSchedulesGoneForTelegram, 'schedules_gone');
+        }
+        
+        // Edit posted alerts whose job changed or is no longer listed
+        await updatePostedAlerts(notifiers, jobs, complete, formatJobForTelegram, formatAlertTime);
+        
         // 🧹 Garbage collection after job processing
         if (global.gc) {
             global.gc();
         }
         
+        return { status: 'ok' };
+        
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ❌ Error in polling:`, error.message);
+        logger.error(`❌ Error in polling:`, error.message);
         
         // 🧹 Garbage collection on error recovery
         if (global.gc) {
             global.gc();
         }
+        
+        return { status: 'error', error: error };
     }
 }
 
 // Start the monitor
 async function main() {
     try {
-        console.log(`[${new Date().toISOString()}] 🎬 Starting Amazon Job Monitor...`);
+        logger.info(`🎬 Starting Amazon Job Monitor...`);
         
         // Get Telegram credentials from environment variables
         config = setupTelegramCredentials();
         
-        console.log(`[${new Date().toISOString()}] 🚀 Amazon Job Monitor with Modular Token System`);
-        console.log(`[${new Date().toISOString()}] 📡 GraphQL: ${AMAZON_GRAPHQL_URL}`);
-        console.log(`[${new Date().toISOString()}] ⏱️  Polling: Every ${POLLING_INTERVAL/1000} seconds`);
-        console.log(`[${new Date().toISOString()}] 📱 Channel: ${config.TELEGRAM_CHANNEL_ID}`);
-        console.log(`[${new Date().toISOString()}] 🔄 Token: Modular extraction system (auto-refresh)\n`);
+        // Load hiring sites and search profiles, with token state for every site a profile searches
+        loadSites();
+        searchProfiles = loadSearchProfiles();
+        searchProfiles.forEach(profile => {
+            if (!siteStates.has(profile.site)) {
+                siteStates.set(profile.site, createSiteState(getSite(profile.site)));
+            }
+        });
+        for (const profile of searchProfiles) {
+            await resolveHomePoints(profile.homePoints);
+        }
+        
+        // Load alert destinations
+        alertDestinations = loadAlertRules(config.TELEGRAM_CHANNEL_ID);
+        
+        // Load notifier backends (Telegram sends to the alert destinations and bot subscribers)
+        notifiers = loadNotifiers({
+            botToken: config.TELEGRAM_BOT_TOKEN,
+            getDestinations: () => alertDestinations.concat(getSubscriberDestinations())
+        });
+        
+        // Load posted alerts (kept up to date by message edits) and pending digests
+        loadPostedAlertStore();
+        loadDigestStore();
+        
+        // Load the outbound alert queue and start draining it
+        loadAlertQueue();
+        startAlertWorker(getNotifierSenders(notifiers));
+        
+        // Load persistent seen-job store and job history
+        loadSeenJobStore();
+        loadJobHistoryStore();
+        
+        logger.info(`🚀 Amazon Job Monitor with Modular Token System`);
+        logger.info(`🌍 Sites: ${Array.from(siteStates.values()).map(state => `${state.site.name} (${state.site.graphqlUrl})`).join(', ')}`);
+        logger.info(`📱 Destinations: ${alertDestinations.map(d => `${d.name} (${d.chatId})`).join(', ')}`);
+        logger.info(`📣 Notifiers: ${notifiers.map(n => n.name).join(', ')}`);
+        logger.info(`🗂️  Profiles: ${searchProfiles.map(p => p.name).join(', ')}`);
+        logger.info(`🔄 Token: Modular extraction system (auto-refresh)\n`);
+        
+        // Start Telegram bot commands (set BOT_COMMANDS_ENABLED=false to disable)
+        if (process.env.BOT_COMMANDS_ENABLED !== 'false') {
+            startBotCommands({
+                botToken: config.TELEGRAM_BOT_TOKEN,
+                adminUserIds: (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+                getStatus: () => ({
+                    paused: monitorPaused,
+                    lastPollAt: lastPollAt,
+                    tokens: Array.from(siteStates.values()).map(state => ({
+                        site: state.site.name,
+                        strategy: state.strategy,
+                        age: state.obtainedAt ? Date.now() - state.obtainedAt : null,
+                        expiresIn: state.expiresAt ? state.expiresAt - Date.now() : null,
+                        refreshing: Boolean(state.refreshing)
+                    })),
+                    seenJobCount: getSeenJobCount(),
+                    scheduler: getSchedulerState(),
+                    alertQueue: getAlertQueueStats()
+                }),
+                onPause: () => {
+                    monitorPaused = true;
+                    logger.info(`⏸️  Monitor paused by admin`);
+                },
+                onResume: () => {
+                    monitorPaused = false;
+                    logger.info(`▶️  Monitor resumed by admin`);
+                }
+            });
+        }
         
-        // Get initial token
-        console.log(`[${new Date().toISOString()}] 🔑 Getting initial token...`);
-        await ensureValidToken();
+        // Start the /healthz and /metrics server
+        registerGauge('seen_jobs', getSeenJobCount);
+        registerGauge('alert_queue_pending', () => getAlertQueueStats().pending);
+        registerGauge('token_age_seconds', () => {
+            const obtainedAt = oldestTokenObtainedAt();
+            return obtainedAt ? (Date.now() - obtainedAt) / 1000 : null;
+        });
+        if (process.env.HEALTH_SERVER_ENABLED !== 'false') {
+            startHealthServer(() => ({
+                startedAt: startedAt,
+                paused: monitorPaused,
+                lastPollAt: lastPollAt,
+                tokenObtainedAt: oldestTokenObtainedAt()
+            }));
+        }
+        
+        // Get initial tokens (sites that fail keep retrying in the background)
+        const initialTokens = await Promise.allSettled(Array.from(siteStates.values()).map(state => refreshToken(state, 'Getting initial token')));
+        if (!initialTokens.some(result => result.status === 'fulfilled')) {
+            throw new Error('Could not get a token for any site');
+        }
         
         // Start continuous job monitoring
-        console.log(`[${new Date().toISOString()}] 🔄 Starting continuous job monitoring...`);
-        setInterval(async () => {
-            await pollForJobs();
-        }, POLLING_INTERVAL);
+        logger.info(`🔄 Starting continuous job monitoring...`);
+        startPollScheduler(pollForJobs);
         
-        // Clear seen jobs every 30 seconds to allow refilled positions
-        console.log(`[${new Date().toISOString()}] 🧹 Setting up job ID cleanup (every 30 seconds)...`);
+        // Flush the seen-job store and job history, and send due digests every 30 seconds
+        logger.info(`💾 Setting up store flushes and digests (every 30 seconds)...`);
         setInterval(() => {
-            const previousCount = seenJobIds.size;
-            seenJobIds.clear();
-            if (previousCount > 0) {
-                console.log(`[${new Date().toISOString()}] 🧹 Cleared ${previousCount} seen job IDs - ready to detect refilled positions`);
-            }
+            flushSeenJobStore();
+            flushJobHistoryStore();
+            deliverDigests(notifiers);
             
             // 🧹 Periodic garbage collection
             if (global.gc) {
@@ -540,30 +866,66 @@ async function main() {
             }
         }, 30 * 1000);
         
-        console.log(`[${new Date().toISOString()}] 🎉 Amazon Job Monitor is now running!`);
-        console.log(`[${new Date().toISOString()}] ✅ System will automatically manage tokens and fetch jobs\n`);
+        logger.info(`🎉 Amazon Job Monitor is now running!`);
+        logger.info(`✅ System will automatically manage tokens and fetch jobs\n`);
         
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ❌ Fatal error in main:`, error.message);
+        logger.error(`❌ Fatal error in main:`, error.message);
         process.exit(1);
     }
 }
 
 // Error handling
+// Stop everything, flush the stores and close the browser (given at most CLEANUP_TIMEOUT), then exit
+let shuttingDown = false;
+async function shutdown(exitCode) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    
+    try {
+        flushSeenJobStore(true);
+        flushJobHistoryStore(true);
+        stopBotCommands();
+        stopPollScheduler();
+        stopAlertWorker();
+        stopHealthServer();
+        
+        let timer = null;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => {
+                logger.warn(`⚠️  Cleanup did not finish within ${CLEANUP_TIMEOUT / 1000} seconds, exiting anyway`);
+                resolve();
+            }, CLEANUP_TIMEOUT);
+        });
+        await Promise.race([cleanup(), timeout]);
+        clearTimeout(timer);
+    } catch (error) {
+        logger.error(`❌ Error during shutdown:`, error.message);
+    }
+    process.exit(exitCode);
+}
+
 process.on('uncaughtException', async (error) => {
-    console.error(`[${new Date().toISOString()}] ❌ Uncaught Exception:`, error);
-    process.exit(1);
+    logger.error(`❌ Uncaught Exception:`, error);
+    await shutdown(1);
 });
 
 process.on('unhandledRejection', async (reason, promise) => {
-    console.error(`[${new Date().toISOString()}] ❌ Unhandled Rejection at:`, promise, 'reason:', reason);
-    process.exit(1);
+    logger.error(`❌ Unhandled Rejection at:`, promise, 'reason:', reason);
+    await shutdown(1);
 });
 
-// Graceful shutdown
+// Graceful shutdown (SIGTERM: docker stop, systemd and start-monitor.js)
 process.on('SIGINT', async () => {
-    console.log(`[${new Date().toISOString()}] 🛑 Shutting down gracefully...`);
-    process.exit(0);
+    logger.info(`🛑 Shutting down gracefully...`);
+    await shutdown(0);
+});
+
+process.on('SIGTERM', async () => {
+    logger.info(`🛑 Shutting down gracefully (SIGTERM)...`);
+    await shutdown(0);
 });
 
 // Start the application
@@ -146,8 +146,12 @@ cat > status.sh << 'EOF'
 echo "=== Amazon Job Monitor Status ==="
 pm2 status amazon-monitor-auto
 echo ""
+echo "=== Health ==="
+curl -s "http://127.0.0.1:${HEALTH_PORT:-9464}/healthz" || echo "Health endpoint not reachable"
+echo ""
+echo ""
 echo "=== Recent Logs ==="
-pm2 logs amazon-monitor-auto --lines 20
+pm2 logs amazon-monitor-auto --lines 20 --nostream
 EOF
 
 # Restart script
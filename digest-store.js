@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./seen-job-store');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('digest-store');
+
+// Store location
+const DIGESTS_FILE = process.env.DIGESTS_FILE || path.join(DATA_DIR, 'digests.json');
+
+// destination name (or "catchup:<name>" for alerts held during quiet hours) ->
+// { lastDigestAt, jobs: { jobId -> { jobId, site, location, payMin, payMax, currencyCode, openedAt, filledAt } } }
+let digests = {};
+
+// Load digest state from disk (missing file = nothing pending)
+function loadDigestStore() {
+    digests = {};
+
+    if (fs.existsSync(DIGESTS_FILE)) {
+        try {
+            digests = JSON.parse(fs.readFileSync(DIGESTS_FILE, 'utf8')).digests || {};
+        } catch (error) {
+            logger.error(`❌ Error reading digest store (starting empty):`, error.message);
+        }
+    }
+
+    logger.info(`📰 Digest store loaded: ${Object.keys(digests).length} digest destination(s)`);
+    return Object.keys(digests).length;
+}
+
+// Write digest state to disk (atomically)
+function saveDigestStore() {
+    try {
+        fs.mkdirSync(path.dirname(DIGESTS_FILE), { recursive: true });
+        const tmpFile = `${DIGESTS_FILE}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ digests: digests }));
+        fs.renameSync(tmpFile, DIGESTS_FILE);
+    } catch (error) {
+        logger.error(`❌ Error writing digest store:`, error.message);
+    }
+}
+
+// Digest state of a destination (created on first use)
+function getDigest(name, now) {
+    if (!digests[name]) {
+        digests[name] = { lastDigestAt: now, jobs: {} };
+    }
+    return digests[name];
+}
+
+// Add newly opened jobs to a destination's next digest
+function addDigestJobs(name, jobs, now = Date.now()) {
+    const digest = getDigest(name, now);
+
+    jobs.forEach(job => {
+        digest.jobs[job.jobId] = {
+            jobId: job.jobId,
+            site: job.site || null,
+            location: job.locationName || job.city || 'Unknown',
+            payMin: job.totalPayRateMin || null,
+            payMax: job.totalPayRateMax || job.totalPayRateMin || null,
+            currencyCode: job.currencyCode || '',
+            openedAt: now,
+            filledAt: null
+        };
+    });
+    saveDigestStore();
+}
+
+// Mark digest jobs filled when they are no longer listed (only after a complete fetch),
+// and open again when they come back
+function updateDigestListings(listedIds, complete, now = Date.now()) {
+    let changed = false;
+
+    Object.values(digests).forEach(digest => {
+        Object.values(digest.jobs).forEach(job => {
+            if (listedIds.has(job.jobId)) {
+                if (job.filledAt) {
+                    job.filledAt = null;
+                    changed = true;
+                }
+            } else if (complete && !job.filledAt) {
+                job.filledAt = now;
+                changed = true;
+            }
+        });
+    });
+
+    if (changed) {
+        saveDigestStore();
+    }
+}
+
+// Minute of the day of a date in a timezone
+function minuteOfDay(date, timeZone) {
+    const [hour, minute] = date.toLocaleString('en-GB', {
+        timeZone: timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+    }).split(':').map(value => parseInt(value, 10));
+    return (hour % 24) * 60 + minute;
+}
+
+// Most recent digest time at or before now, in the destination's timezone: the start of the
+// hour ('hourly', which differs from UTC in half-hour zones), or the last digestAt "HH:MM" ('daily')
+function lastScheduledDigest(delivery, digestAt, timeZone, now) {
+    if (delivery === 'hourly') {
+        return now - now % 60000 - (minuteOfDay(new Date(now), timeZone) % 60) * 60000;
+    }
+
+    const [hour, minute] = (digestAt || '08:00').split(':').map(value => parseInt(value, 10));
+    const minutesSince = (minuteOfDay(new Date(now), timeZone) - (hour * 60 + minute) + 1440) % 1440;
+    return now - now % 60000 - minutesSince * 60000;
+}
+
+// Whether a destination's digest is due
+function isDigestDue(name, delivery, digestAt, timeZone, now = Date.now()) {
+    const digest = getDigest(name, now);
+    return lastScheduledDigest(delivery, digestAt, timeZone, now) > digest.lastDigestAt;
+}
+
+// Take a destination's digest: jobs opened since the last one, jobs still open from before,
+// and jobs filled since the last one. Filled jobs are then dropped.
+function takeDigest(name, now = Date.now()) {
+    const digest = getDigest(name, now);
+    const jobs = Object.values(digest.jobs);
+    const result = {
+        since: digest.lastDigestAt,
+        opened: jobs.filter(job => !job.filledAt && job.openedAt >= digest.lastDigestAt),
+        stillOpen: jobs.filter(job => !job.filledAt && job.openedAt < digest.lastDigestAt),
+        filled: jobs.filter(job => job.filledAt)
+    };
+
+    result.filled.forEach(job => delete digest.jobs[job.jobId]);
+    digest.lastDigestAt = now;
+    saveDigestStore();
+
+    return result;
+}
+
+// Hold jobs alerted during a destination's quiet hours for its catch-up (kept with the digests,
+// so jobs that are no longer listed are marked filled the same way)
+function holdCatchUpJobs(name, jobs, now = Date.now()) {
+    addDigestJobs(`catchup:${name}`, jobs, now);
+}
+
+// Whether a destination has held jobs waiting for its catch-up
+function hasCatchUp(name) {
+    return Boolean(digests[`catchup:${name}`]);
+}
+
+// Take a destination's catch-up: the held jobs still open, and how many filled in the meantime
+function takeCatchUp(name) {
+    const digest = digests[`catchup:${name}`];
+    delete digests[`catchup:${name}`];
+    saveDigestStore();
+
+    const jobs = Object.values(digest.jobs);
+    return {
+        since: digest.lastDigestAt,
+        jobs: jobs.filter(job => !job.filledAt),
+        filledCount: jobs.filter(job => job.filledAt).length
+    };
+}
+
+module.exports = {
+    loadDigestStore,
+    addDigestJobs,
+    updateDigestListings,
+    minuteOfDay,
+    isDigestDue,
+    takeDigest,
+    holdCatchUpJobs,
+    hasCatchUp,
+    takeCatchUp
+};
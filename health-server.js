@@ -0,0 +1,91 @@
+const http = require('http');
+const { renderMetrics } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('health');
+
+// Server settings (bound to localhost by default)
+const HEALTH_PORT = parseInt(process.env.HEALTH_PORT, 10) || 9464;
+const HEALTH_HOST = process.env.HEALTH_HOST || '127.0.0.1';
+
+// Staleness limits for /healthz
+const HEALTH_MAX_POLL_AGE = parseInt(process.env.HEALTH_MAX_POLL_AGE_MS, 10) || 5 * 60 * 1000; // 5 minutes
+const HEALTH_MAX_TOKEN_AGE = parseInt(process.env.HEALTH_MAX_TOKEN_AGE_MS, 10) || 2 * 60 * 60 * 1000; // 2 hours
+
+let server = null;
+
+// Health verdict from the monitor's status: unhealthy when the last successful poll or
+// token refresh is too old (a paused monitor is healthy)
+function checkHealth(status, now = Date.now()) {
+    const problems = [];
+    const pollAge = status.lastPollAt ? now - status.lastPollAt : null;
+    const tokenAge = status.tokenObtainedAt ? now - status.tokenObtainedAt : null;
+
+    if (!status.paused) {
+        if (pollAge === null ? now - status.startedAt > HEALTH_MAX_POLL_AGE : pollAge > HEALTH_MAX_POLL_AGE) {
+            problems.push(`last successful poll ${pollAge === null ? 'never' : `${Math.round(pollAge / 1000)}s ago`}`);
+        }
+        if (tokenAge === null ? now - status.startedAt > HEALTH_MAX_TOKEN_AGE : tokenAge > HEALTH_MAX_TOKEN_AGE) {
+            problems.push(`last token refresh ${tokenAge === null ? 'never' : `${Math.round(tokenAge / 1000)}s ago`}`);
+        }
+    }
+
+    return {
+        healthy: problems.length === 0,
+        problems: problems,
+        paused: Boolean(status.paused),
+        lastPollAgeSeconds: pollAge === null ? null : Math.round(pollAge / 1000),
+        tokenAgeSeconds: tokenAge === null ? null : Math.round(tokenAge / 1000)
+    };
+}
+
+// Start the HTTP server with /healthz and /metrics
+// getStatus() => { startedAt, paused, lastPollAt, tokenObtainedAt }
+function startHealthServer(getStatus) {
+    server = http.createServer((request, response) => {
+        const url = request.url.split('?')[0];
+
+        if (request.method !== 'GET') {
+            response.writeHead(405, { 'Content-Type': 'text/plain' });
+            response.end('Method not allowed\n');
+            return;
+        }
+
+        if (url === '/healthz') {
+            const health = checkHealth(getStatus());
+            response.writeHead(health.healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(health));
+            return;
+        }
+
+        if (url === '/metrics') {
+            response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            response.end(renderMetrics());
+            return;
+        }
+
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Not found\n');
+    });
+
+    server.on('error', error => {
+        logger.error(`❌ Health server error:`, error.message);
+    });
+
+    server.listen(HEALTH_PORT, HEALTH_HOST, () => {
+        logger.info(`🩺 Health server listening on http://${HEALTH_HOST}:${HEALTH_PORT} (/healthz, /metrics)`);
+    });
+}
+
+// Stop the HTTP server
+function stopHealthServer() {
+    if (server) {
+        server.close();
+        server = null;
+    }
+}
+
+module.exports = {
+    startHealthServer,
+    stopHealthServer
+};
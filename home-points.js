@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { DATA_DIR } = require('./seen-job-store');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('home-points');
+
+// Geocoder (a Nominatim-compatible search endpoint) and its cache
+const GEOCODER_URL = process.env.GEOCODER_URL || 'https://nominatim.openstreetmap.org/search';
+const GEOCODE_CACHE_FILE = process.env.GEOCODE_CACHE_FILE || path.join(DATA_DIR, 'geocode-cache.json');
+const GEOCODER_TIMEOUT = parseInt(process.env.GEOCODER_TIMEOUT_MS || '10000', 10);
+const GEOCODER_INTERVAL = 1100; // the public Nominatim allows one request per second
+const GEOCODER_PAUSE = 5 * 60 * 1000; // no lookups for 5 minutes after the geocoder fails
+const EARTH_RADIUS_KM = 6371;
+
+// What to do with jobs whose distance isn't known (yet): leave them out, or keep them without a distance
+const UNKNOWN_LOCATION_MODES = ['drop', 'keep'];
+
+// query key -> { lat, lng } (null = not found; only kept for this run)
+let geocodeCache = null;
+let lastGeocodeAt = 0;
+let geocoderDownUntil = 0;
+let geocodeQueue = Promise.resolve();
+const pendingLookups = new Set(); // query keys queued by lookupPlace
+
+// Validate a profile's home points ({ name, postalCode | lat + lng, radiusKm, country })
+function normalizeHomePoints(points, profileName, country) {
+    return (points || []).map((point, index) => {
+        const name = point.name || `home ${index + 1}`;
+        const hasCoordinates = typeof point.lat === 'number' && typeof point.lng === 'number';
+
+        if (!hasCoordinates && !point.postalCode) {
+            throw new Error(`Home point "${name}" of profile "${profileName}" needs a postalCode or lat and lng`);
+        }
+        if (!(point.radiusKm > 0)) {
+            throw new Error(`Home point "${name}" of profile "${profileName}" needs a positive radiusKm`);
+        }
+
+        return {
+            name: name,
+            postalCode: point.postalCode || null,
+            country: point.country || country,
+            lat: hasCoordinates ? point.lat : null,
+            lng: hasCoordinates ? point.lng : null,
+            radiusKm: point.radiusKm
+        };
+    });
+}
+
+// Load the geocode cache from disk (missing file = empty cache)
+function loadGeocodeCache() {
+    geocodeCache = new Map();
+
+    if (fs.existsSync(GEOCODE_CACHE_FILE)) {
+        try {
+            const parsed = JSON.parse(fs.readFileSync(GEOCODE_CACHE_FILE, 'utf8'));
+            Object.keys(parsed.places || {}).forEach(key => geocodeCache.set(key, parsed.places[key]));
+        } catch (error) {
+            logger.error(`❌ Error reading geocode cache (starting empty):`, error.message);
+        }
+    }
+}
+
+// Write found places to disk (atomically)
+function saveGeocodeCache() {
+    const places = {};
+    geocodeCache.forEach((place, key) => {
+        if (place) {
+            places[key] = place;
+        }
+    });
+
+    try {
+        fs.mkdirSync(path.dirname(GEOCODE_CACHE_FILE), { recursive: true });
+        const tmpFile = `${GEOCODE_CACHE_FILE}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ places: places }));
+        fs.renameSync(tmpFile, GEOCODE_CACHE_FILE);
+    } catch (error) {
+        logger.error(`❌ Error writing geocode cache:`, error.message);
+    }
+}
+
+// Cache key of a geocoder query
+function geocodeKey(params) {
+    return Object.keys(params).sort().map(name => `${name}=${String(params[name]).trim().toLowerCase()}`).join('&');
+}
+
+// Look up a place with the geocoder (cached; requests are spaced GEOCODER_INTERVAL apart).
+// Resolves to { lat, lng }, or null when it can't be found or the geocoder fails.
+function geocode(params) {
+    if (!geocodeCache) {
+        loadGeocodeCache();
+    }
+
+    const key = geocodeKey(params);
+    if (geocodeCache.has(key)) {
+        return Promise.resolve(geocodeCache.get(key));
+    }
+
+    const lookup = geocodeQueue.then(async () => {
+        if (geocodeCache.has(key)) {
+            return geocodeCache.get(key);
+        }
+        if (Date.now() < geocoderDownUntil) {
+            return null;
+        }
+
+        const wait = lastGeocodeAt + GEOCODER_INTERVAL - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        lastGeocodeAt = Date.now();
+
+        const url = `${GEOCODER_URL}?${new URLSearchParams({ ...params, format: 'json', limit: '1' })}`;
+        try {
+            const response = await fetch(url, {
+                headers: { 'User-Agent': 'amazon-job-monitor (home point distance filter)' },
+                timeout: GEOCODER_TIMEOUT
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const results = await response.json();
+            const place = results.length > 0 ? { lat: parseFloat(results[0].lat), lng: parseFloat(results[0].lon) } : null;
+            geocodeCache.set(key, place);
+            if (place) {
+                saveGeocodeCache();
+            } else {
+                logger.warn(`⚠️  Geocoder found nothing for ${key}`);
+            }
+            return place;
+        } catch (error) {
+            geocoderDownUntil = Date.now() + GEOCODER_PAUSE;
+            logger.warn(`⚠️  Geocoding ${key} failed (pausing lookups for ${GEOCODER_PAUSE / 60000} minutes):`, error.message);
+            return null; // Not cached, so it is tried again later
+        }
+    });
+
+    geocodeQueue = lookup;
+    return lookup;
+}
+
+// A place from the geocode cache without waiting: { lat, lng }, null when it can't be found, or
+// undefined while it isn't known yet (a lookup is then queued in the background)
+function lookupPlace(params) {
+    if (!geocodeCache) {
+        loadGeocodeCache();
+    }
+
+    const key = geocodeKey(params);
+    if (geocodeCache.has(key)) {
+        return geocodeCache.get(key);
+    }
+    if (!pendingLookups.has(key)) {
+        pendingLookups.add(key);
+        const done = () => pendingLookups.delete(key);
+        geocode(params).then(done, done);
+    }
+    return undefined;
+}
+
+// Fill in the coordinates of postal code home points (points that can't be geocoded are an error)
+async function resolveHomePoints(points) {
+    for (const point of points) {
+        if (point.lat !== null) {
+            continue;
+        }
+
+        const place = await geocode({ postalcode: point.postalCode, country: point.country });
+        if (!place) {
+            throw new Error(`Could not find the location of postal code ${point.postalCode} (home point "${point.name}")`);
+        }
+        point.lat = place.lat;
+        point.lng = place.lng;
+        logger.info(`📍 Home point "${point.name}": ${point.postalCode} is at ${place.lat.toFixed(4)}, ${place.lng.toFixed(4)}`);
+    }
+    return points;
+}
+
+// Great-circle distance between two { lat, lng } points in km
+function distanceKm(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Distance for alerts ("4.2 km", "37 km")
+function formatDistance(km) {
+    return km < 10 ? `${km.toFixed(1)} km` : `${Math.round(km)} km`;
+}
+
+// Search request clause that limits a job search to a home point's radius. The shape is an
+// assumption (not confirmed against the API): a site that rejects it falls back to local filtering.
+function buildGeoQueryClause(point) {
+    return { lat: point.lat, lng: point.lng, unit: 'km', distance: point.radiusKm };
+}
+
+// Distance of each job from a home point, keeping the jobs inside its radius.
+// geoSearched: the search passed the point, so the card's distance is from the point; otherwise
+// (or when the card has none) the distance is measured to the job city's cached location. Cities
+// not in the cache are looked up in the background, so polling never waits for the geocoder.
+// Jobs whose location isn't known (yet) are dropped, or kept without a distance (unknownLocation 'keep').
+function filterJobsByDistance(jobs, point, geoSearched, unknownLocation = 'drop') {
+    const kept = [];
+    let unknown = 0;
+
+    for (const job of jobs) {
+        let distance = geoSearched && typeof job.distance === 'number' ? job.distance : null;
+
+        if (distance === null && job.city) {
+            const place = lookupPlace(job.state
+                ? { city: job.city, state: job.state, country: point.country }
+                : { city: job.city, country: point.country });
+            distance = place ? distanceKm(point, place) : null;
+        }
+
+        if (distance === null) {
+            unknown++;
+            if (unknownLocation === 'keep') {
+                kept.push({ ...job, distanceKm: null, homePoint: point.name });
+            }
+        } else if (distance <= point.radiusKm) {
+            kept.push({ ...job, distanceKm: distance, homePoint: point.name });
+        }
+    }
+
+    if (unknown > 0) {
+        logger.debug(`📍 ${unknown} job(s) without a known location near "${point.name}" (${unknownLocation === 'keep' ? 'kept' : 'left out'}, ${pendingLookups.size} lookup(s) queued)`);
+    }
+    return kept;
+}
+
+module.exports = {
+    UNKNOWN_LOCATION_MODES,
+    normalizeHomePoints,
+    resolveHomePoints,
+    buildGeoQueryClause,
+    filterJobsByDistance,
+    formatDistance
+};
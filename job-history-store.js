@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./seen-job-store');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('job-history');
+
+// Store location and retention
+const JOB_HISTORY_FILE = process.env.JOB_HISTORY_FILE || path.join(DATA_DIR, 'job-history.json');
+const JOB_HISTORY_RETENTION_DAYS = parseFloat(process.env.JOB_HISTORY_RETENTION_DAYS || '365');
+const FLUSH_INTERVAL = 30 * 1000; // lastSeen-only changes are written at most every 30 seconds
+
+// jobId -> { jobId, site, jobTitle, city, state, locationName, jobType, employmentType, currencyCode,
+//            firstSeen, lastSeen, payMin, payMax, payHistory: [{ at, min, max }],
+//            listings: [{ openedAt, closedAt, payMin, payMax, openedAtStartup, closedAtStartup }] }
+let jobs = new Map();
+// scheduleId -> { scheduleId, jobId, city, state, address, scheduleType, employmentType, hoursPerWeek,
+//                 firstSeen, lastSeen, closedAt, totalPayRate, basePay, signOnBonus }
+let schedules = new Map();
+let startedAt = null;
+let firstCycle = true;
+let dirty = false;
+let urgent = false;
+let lastFlush = 0;
+
+// Read the history file as stored (missing file = empty history)
+function readJobHistoryFile() {
+    if (!fs.existsSync(JOB_HISTORY_FILE)) {
+        return { startedAt: null, jobs: [], schedules: [] };
+    }
+    const parsed = JSON.parse(fs.readFileSync(JOB_HISTORY_FILE, 'utf8'));
+    return { startedAt: parsed.startedAt || null, jobs: parsed.jobs || [], schedules: parsed.schedules || [] };
+}
+
+// Load the history from disk
+function loadJobHistoryStore() {
+    jobs = new Map();
+    schedules = new Map();
+    startedAt = Date.now();
+
+    try {
+        const history = readJobHistoryFile();
+        history.jobs.forEach(record => jobs.set(record.jobId, record));
+        history.schedules.forEach(record => schedules.set(record.scheduleId, record));
+        startedAt = history.startedAt || startedAt;
+    } catch (error) {
+        logger.error(`❌ Error reading job history (starting empty):`, error.message);
+    }
+
+    firstCycle = true;
+    lastFlush = Date.now();
+    logger.info(`🗄️  Job history loaded: ${jobs.size} jobs, ${schedules.size} schedules from ${JOB_HISTORY_FILE}`);
+    return jobs.size;
+}
+
+// Latest listing of a job record
+function currentListing(record) {
+    return record.listings[record.listings.length - 1];
+}
+
+// Record this cycle's job cards. Listings of missing jobs are closed only after a complete fetch.
+// Listings opened or closed in the first cycle after a start are flagged: the job may have been
+// posted (or filled) while the monitor was not running.
+function recordJobHistory(listedJobs, complete, now = Date.now()) {
+    const listedIds = new Set();
+
+    listedJobs.forEach(job => {
+        const payMin = job.totalPayRateMin || null;
+        const payMax = job.totalPayRateMax || job.totalPayRateMin || null;
+        let record = jobs.get(job.jobId);
+        listedIds.add(job.jobId);
+
+        if (!record) {
+            record = {
+                jobId: job.jobId,
+                firstSeen: now,
+                payMin: null,
+                payMax: null,
+                payHistory: [],
+                listings: []
+            };
+            jobs.set(job.jobId, record);
+        }
+
+        Object.assign(record, {
+            site: job.site || record.site || null,
+            jobTitle: job.jobTitle || record.jobTitle || null,
+            city: job.city || record.city || null,
+            state: job.state || record.state || null,
+            locationName: job.locationName || record.locationName || null,
+            jobType: job.jobType || record.jobType || null,
+            employmentType: job.employmentType || record.employmentType || null,
+            currencyCode: job.currencyCode || record.currencyCode || null,
+            lastSeen: now
+        });
+
+        if (payMin !== record.payMin || payMax !== record.payMax) {
+            record.payMin = payMin;
+            record.payMax = payMax;
+            record.payHistory.push({ at: now, min: payMin, max: payMax });
+            urgent = true;
+        }
+
+        const listing = currentListing(record);
+        if (!listing || listing.closedAt) {
+            record.listings.push({
+                openedAt: now,
+                closedAt: null,
+                payMin: payMin,
+                payMax: payMax,
+                ...(firstCycle ? { openedAtStartup: true } : {})
+            });
+            urgent = true;
+        }
+    });
+
+    if (complete) {
+        jobs.forEach(record => {
+            const listing = currentListing(record);
+            if (!listedIds.has(record.jobId) && listing && !listing.closedAt) {
+                listing.closedAt = now;
+                if (firstCycle) {
+                    listing.closedAtStartup = true;
+                }
+                closeJobSchedules(record.jobId, now);
+                urgent = true;
+            }
+        });
+        firstCycle = false;
+    }
+
+    dirty = true;
+}
+
+// Record a job's current schedule cards and close the ones no longer offered
+function recordScheduleHistory(job, scheduleCards, now = Date.now()) {
+    const listedIds = new Set();
+
+    scheduleCards.forEach(schedule => {
+        let record = schedules.get(schedule.scheduleId);
+        listedIds.add(schedule.scheduleId);
+
+        if (!record || record.closedAt) {
+            urgent = true;
+        }
+        if (!record) {
+            record = { scheduleId: schedule.scheduleId, jobId: job.jobId, firstSeen: now };
+            schedules.set(schedule.scheduleId, record);
+        }
+
+        Object.assign(record, {
+            city: schedule.city || record.city || null,
+            state: schedule.state || record.state || null,
+            address: schedule.address || record.address || null,
+            scheduleType: schedule.scheduleType || record.scheduleType || null,
+            employmentType: schedule.employmentType || record.employmentType || null,
+            hoursPerWeek: schedule.hoursPerWeek || record.hoursPerWeek || null,
+            totalPayRate: schedule.totalPayRate || record.totalPayRate || null,
+            basePay: schedule.basePay || record.basePay || null,
+            signOnBonus: schedule.signOnBonus || record.signOnBonus || null,
+            lastSeen: now,
+            closedAt: null
+        });
+    });
+
+    schedules.forEach(record => {
+        if (record.jobId === job.jobId && !record.closedAt && !listedIds.has(record.scheduleId)) {
+            record.closedAt = now;
+            urgent = true;
+        }
+    });
+
+    dirty = true;
+}
+
+// Close every open schedule of a job
+function closeJobSchedules(jobId, now) {
+    schedules.forEach(record => {
+        if (record.jobId === jobId && !record.closedAt) {
+            record.closedAt = now;
+        }
+    });
+}
+
+// Drop jobs and schedules not seen for JOB_HISTORY_RETENTION_DAYS
+function pruneJobHistory(now) {
+    const retentionMs = JOB_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+    jobs.forEach((record, jobId) => {
+        if (now - record.lastSeen > retentionMs) {
+            jobs.delete(jobId);
+        }
+    });
+    schedules.forEach((record, scheduleId) => {
+        if (now - record.lastSeen > retentionMs) {
+            schedules.delete(scheduleId);
+        }
+    });
+}
+
+// Write the history to disk (atomically) if it changed
+function flushJobHistoryStore(force = false) {
+    if (!dirty && !urgent && !force) {
+        return;
+    }
+    if (!urgent && !force && Date.now() - lastFlush < FLUSH_INTERVAL) {
+        return;
+    }
+
+    try {
+        pruneJobHistory(Date.now());
+        fs.mkdirSync(path.dirname(JOB_HISTORY_FILE), { recursive: true });
+        const tmpFile = `${JOB_HISTORY_FILE}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({
+            startedAt: startedAt,
+            jobs: Array.from(jobs.values()),
+            schedules: Array.from(schedules.values())
+        }));
+        fs.renameSync(tmpFile, JOB_HISTORY_FILE);
+
+        dirty = false;
+        urgent = false;
+        lastFlush = Date.now();
+    } catch (error) {
+        logger.error(`❌ Error writing job history:`, error.message);
+    }
+}
+
+module.exports = {
+    JOB_HISTORY_FILE,
+    loadJobHistoryStore,
+    recordJobHistory,
+    recordScheduleHistory,
+    flushJobHistoryStore,
+    readJobHistoryFile
+};
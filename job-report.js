@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+
+// Job history report: posting durations by location, time-of-day drops, pay trends and most
+// active sites, from the history the monitor records in data/job-history.json.
+//
+//   node job-report.js [--days 30] [--format text|csv|json] [--out path] [--section name] [--top 20]
+//
+// CSV output writes one file per section when --out is a directory.
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { JOB_HISTORY_FILE, readJobHistoryFile } = require('./job-history-store');
+
+// Report settings
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'America/Toronto';
+const SECTIONS = ['durations', 'dropTimes', 'payTrends', 'sites'];
+const FORMATS = ['text', 'csv', 'json'];
+
+// Parse "--name value" arguments
+function parseArgs(argv) {
+    const options = { days: null, format: 'text', out: null, section: null, top: 20 };
+
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+
+        if (!(name in options) || value === undefined) {
+            throw new Error(`Unknown or incomplete option "${argv[i]}"`);
+        }
+        options[name] = ['days', 'top'].includes(name) ? parseFloat(value) : value;
+        i++;
+    }
+
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`Invalid --format "${options.format}" (expected ${FORMATS.join(', ')})`);
+    }
+    if (options.section && !SECTIONS.includes(options.section)) {
+        throw new Error(`Invalid --section "${options.section}" (expected ${SECTIONS.join(', ')})`);
+    }
+    return options;
+}
+
+// Calendar day (YYYY-MM-DD) and hour of a timestamp in REPORT_TIMEZONE
+function localDay(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: REPORT_TIMEZONE });
+}
+
+function localHour(timestamp) {
+    return parseInt(new Date(timestamp).toLocaleString('en-GB', {
+        timeZone: REPORT_TIMEZONE,
+        hour: '2-digit',
+        hour12: false
+    }), 10) % 24;
+}
+
+// Location of a job record ("Toronto, ON")
+function jobLocation(record) {
+    return record.city ? [record.city, record.state].filter(Boolean).join(', ') : (record.locationName || 'Unknown');
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Round to 2 decimals (null stays null)
+function round(value) {
+    return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+// Every listing in the report window, with its job record
+function listingsSince(history, since) {
+    const listings = [];
+    history.jobs.forEach(record => {
+        record.listings.forEach(listing => {
+            if (listing.openedAt >= since) {
+                listings.push({ ...listing, record: record });
+            }
+        });
+    });
+    return listings;
+}
+
+// How long postings stay open, by location (listings seen opening and closing only)
+function postingDurations(listings) {
+    const byLocation = new Map();
+
+    listings.forEach(listing => {
+        const location = jobLocation(listing.record);
+        if (!byLocation.has(location)) {
+            byLocation.set(location, { durations: [], open: 0 });
+        }
+        const entry = byLocation.get(location);
+
+        if (!listing.closedAt) {
+            entry.open++;
+        } else if (!listing.openedAtStartup && !listing.closedAtStartup) {
+            entry.durations.push((listing.closedAt - listing.openedAt) / 60000);
+        }
+    });
+
+    return Array.from(byLocation.entries())
+        .filter(([, entry]) => entry.durations.length > 0 || entry.open > 0)
+        .map(([location, entry]) => ({
+            location: location,
+            closedPostings: entry.durations.length,
+            stillOpen: entry.open,
+            medianMinutes: entry.durations.length ? round(median(entry.durations)) : null,
+            averageMinutes: entry.durations.length ? round(average(entry.durations)) : null,
+            maxMinutes: entry.durations.length ? round(Math.max(...entry.durations)) : null
+        }))
+        .sort((a, b) => b.closedPostings - a.closedPostings || a.location.localeCompare(b.location));
+}
+
+// When postings appear, by hour of day (listings already open at a monitor start are skipped)
+function dropTimes(listings) {
+    const counts = new Array(24).fill(0);
+    listings.filter(listing => !listing.openedAtStartup).forEach(listing => {
+        counts[localHour(listing.openedAt)]++;
+    });
+
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    return counts.map((count, hour) => ({
+        hour: `${String(hour).padStart(2, '0')}:00`,
+        postings: count,
+        percent: total ? round(count * 100 / total) : 0
+    }));
+}
+
+// Pay of new postings and schedules per day
+function payTrends(history, listings, since) {
+    const byDay = new Map();
+    const currencyByJob = new Map(history.jobs.map(record => [record.jobId, record.currencyCode || '']));
+
+    function dayEntry(timestamp, currency) {
+        const key = `${localDay(timestamp)}|${currency}`;
+        if (!byDay.has(key)) {
+            byDay.set(key, { minPay: [], maxPay: [], schedulePay: [], postings: 0, schedules: 0 });
+        }
+        return byDay.get(key);
+    }
+
+    listings.forEach(listing => {
+        const entry = dayEntry(listing.openedAt, listing.record.currencyCode || '');
+        entry.postings++;
+        if (listing.payMin) {
+            entry.minPay.push(listing.payMin);
+            entry.maxPay.push(listing.payMax || listing.payMin);
+        }
+    });
+
+    history.schedules.filter(schedule => schedule.firstSeen >= since).forEach(schedule => {
+        const entry = dayEntry(schedule.firstSeen, currencyByJob.get(schedule.jobId) || '');
+        entry.schedules++;
+        if (schedule.totalPayRate) {
+            entry.schedulePay.push(schedule.totalPayRate);
+        }
+    });
+
+    return Array.from(byDay.entries())
+        .map(([key, entry]) => ({
+            date: key.split('|')[0],
+            currency: key.split('|')[1],
+            postings: entry.postings,
+            averageMinPay: entry.minPay.length ? round(average(entry.minPay)) : null,
+            averageMaxPay: entry.maxPay.length ? round(average(entry.maxPay)) : null,
+            lowestPay: entry.minPay.length ? Math.min(...entry.minPay) : null,
+            highestPay: entry.maxPay.length ? Math.max(...entry.maxPay) : null,
+            schedules: entry.schedules,
+            averageSchedulePay: entry.schedulePay.length ? round(average(entry.schedulePay)) : null
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.currency.localeCompare(b.currency));
+}
+
+// Sites with the most postings (then schedules) in the window
+function activeSites(history, listings, since, top) {
+    const bySite = new Map();
+    const siteByJob = new Map(history.jobs.map(record => [record.jobId, record.locationName || jobLocation(record)]));
+
+    function siteEntry(site) {
+        if (!bySite.has(site)) {
+            bySite.set(site, { postings: 0, jobs: new Set(), schedules: 0, open: 0, lastSeen: 0 });
+        }
+        return bySite.get(site);
+    }
+
+    listings.forEach(listing => {
+        const entry = siteEntry(siteByJob.get(listing.record.jobId));
+        entry.postings++;
+        entry.jobs.add(listing.record.jobId);
+        entry.open += listing.closedAt ? 0 : 1;
+        entry.lastSeen = Math.max(entry.lastSeen, listing.record.lastSeen);
+    });
+
+    history.schedules.filter(schedule => schedule.firstSeen >= since && siteByJob.has(schedule.jobId)).forEach(schedule => {
+        siteEntry(siteByJob.get(schedule.jobId)).schedules++;
+    });
+
+    return Array.from(bySite.entries())
+        .map(([site, entry]) => ({
+            site: site,
+            postings: entry.postings,
+            jobs: entry.jobs.size,
+            schedules: entry.schedules,
+            openNow: entry.open,
+            lastSeen: entry.lastSeen ? new Date(entry.lastSeen).toISOString() : null
+        }))
+        .sort((a, b) => b.postings - a.postings || b.schedules - a.schedules || a.site.localeCompare(b.site))
+        .slice(0, top);
+}
+
+// Build every report section
+function buildReport(history, options, now = Date.now()) {
+    const since = options.days ? now - options.days * 24 * 60 * 60 * 1000 : 0;
+    const listings = listingsSince(history, since);
+
+    return {
+        generatedAt: new Date(now).toISOString(),
+        since: new Date(Math.max(since, history.startedAt || 0)).toISOString(),
+        timezone: REPORT_TIMEZONE,
+        durations: postingDurations(listings),
+        dropTimes: dropTimes(listings),
+        payTrends: payTrends(history, listings, since),
+        sites: activeSites(history, listings, since, options.top)
+    };
+}
+
+// One CSV field (quoted when needed)
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of objects as CSV with a header line
+function toCsv(rows) {
+    if (rows.length === 0) {
+        return '';
+    }
+    const columns = Object.keys(rows[0]);
+    return [columns.join(',')]
+        .concat(rows.map(row => columns.map(column => csvField(row[column])).join(',')))
+        .join('\n') + '\n';
+}
+
+// Minutes as "2d 4h", "3h 20m" or "45m"
+function formatMinutes(minutes) {
+    if (minutes === null) {
+        return '-';
+    }
+    const total = Math.round(minutes);
+    if (total >= 24 * 60) {
+        return `${Math.floor(total / 1440)}d ${Math.floor((total % 1440) / 60)}h`;
+    }
+    return total >= 60 ? `${Math.floor(total / 60)}h ${total % 60}m` : `${total}m`;
+}
+
+// Human-readable report
+function formatText(report, sections) {
+    const lines = [`📊 Job history report (${report.since} to ${report.generatedAt}, ${report.timezone})`];
+
+    if (sections.includes('durations')) {
+        lines.push('', '⏱️  How long postings stay open (by location)');
+        report.durations.forEach(row => {
+            lines.push(`   ${row.location}: median ${formatMinutes(row.medianMinutes)}, average ${formatMinutes(row.averageMinutes)}, max ${formatMinutes(row.maxMinutes)} (${row.closedPostings} closed, ${row.stillOpen} open)`);
+        });
+    }
+
+    if (sections.includes('dropTimes')) {
+        const peak = Math.max(1, ...report.dropTimes.map(row => row.postings));
+        lines.push('', '🕐 When jobs drop (new postings by hour)');
+        report.dropTimes.forEach(row => {
+            lines.push(`   ${row.hour} ${'█'.repeat(Math.round(row.postings * 30 / peak)).padEnd(30)} ${row.postings} (${row.percent}%)`);
+        });
+    }
+
+    if (sections.includes('payTrends')) {
+        lines.push('', '💰 Pay of new postings (per day)');
+        report.payTrends.forEach(row => {
+            const pay = row.averageMinPay === null ? 'no pay listed' : `avg ${row.averageMinPay}-${row.averageMaxPay} ${row.currency} (range ${row.lowestPay}-${row.highestPay})`;
+            const schedulePay = row.averageSchedulePay === null ? '' : `, schedules avg ${row.averageSchedulePay}`;
+            lines.push(`   ${row.date}: ${row.postings} posting(s), ${pay}, ${row.schedules} schedule(s)${schedulePay}`);
+        });
+    }
+
+    if (sections.includes('sites')) {
+        lines.push('', '🏭 Most active sites');
+        report.sites.forEach((row, index) => {
+            lines.push(`   ${index + 1}. ${row.site}: ${row.postings} posting(s), ${row.jobs} job(s), ${row.schedules} schedule(s), ${row.openNow} open now`);
+        });
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// Print or write the report in the requested format
+function outputReport(report, options) {
+    const sections = options.section ? [options.section] : SECTIONS;
+
+    if (options.format === 'json') {
+        const selected = { generatedAt: report.generatedAt, since: report.since, timezone: report.timezone };
+        sections.forEach(section => { selected[section] = report[section]; });
+        const json = JSON.stringify(selected, null, 2) + '\n';
+        if (options.out) {
+            fs.writeFileSync(options.out, json);
+            console.log(`✅ Report written to ${options.out}`);
+        } else {
+            process.stdout.write(json);
+        }
+        return;
+    }
+
+    if (options.format === 'csv') {
+        if (options.out) {
+            fs.mkdirSync(options.out, { recursive: true });
+            sections.forEach(section => {
+                const file = path.join(options.out, `${section}.csv`);
+                fs.writeFileSync(file, toCsv(report[section]));
+                console.log(`✅ ${section} written to ${file}`);
+            });
+        } else {
+            process.stdout.write(sections.map(section =>
+                sections.length > 1 ? `# ${section}\n${toCsv(report[section])}` : toCsv(report[section])).join('\n'));
+        }
+        return;
+    }
+
+    const text = formatText(report, sections);
+    if (options.out) {
+        fs.writeFileSync(options.out, text);
+        console.log(`✅ Report written to ${options.out}`);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+if (require.main === module) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        const history = readJobHistoryFile();
+
+        if (history.jobs.length === 0) {
+            console.error(`📭 No job history yet (${JOB_HISTORY_FILE}) - start the monitor first`);
+            process.exit(1);
+        }
+
+        outputReport(buildReport(history, options), options);
+    } catch (error) {
+        console.error('❌ Report failed:', error.message);
+        process.exit(1);
+    }
+}
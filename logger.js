@@ -0,0 +1,105 @@
+const util = require('util');
+
+// Log settings
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LOG_LEVELS.info;
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'text').toLowerCase(); // 'text' or 'json'
+
+// Secrets that are always masked, whatever is being logged
+const REDACTIONS = [
+    // Authorization headers and JWTs (also truncated ones)
+    [/Bearer\s+[A-Za-z0-9\-_.=+/]+/gi, 'Bearer [REDACTED]'],
+    [/eyJ[A-Za-z0-9\-_=]{8,}(\.[A-Za-z0-9\-_=]*){0,2}/g, '[REDACTED_JWT]'],
+    // Telegram bot tokens (123456789:AA...)
+    [/\b\d{6,12}:[A-Za-z0-9_-]{30,}/g, '[REDACTED_BOT_TOKEN]'],
+    // Telegram group/channel chat IDs (-100...)
+    [/-100\d{6,}/g, '[REDACTED_CHAT]']
+];
+
+// Exact values registered at runtime (bot token, configured and subscriber chat IDs)
+const secrets = new Map();
+
+// Mask a chat ID for logs, keeping the last 3 characters ("***890")
+function maskChatId(chatId) {
+    const value = String(chatId);
+    return value.startsWith('@') ? `@***${value.slice(-3)}` : `***${value.slice(-3)}`;
+}
+
+// Always redact this exact value; chat IDs are replaced by their masked form
+function addSecret(value, kind = 'secret') {
+    if (!value || String(value).length < 5) {
+        return;
+    }
+    const text = String(value);
+    secrets.set(text, kind === 'chat' ? maskChatId(text) : '[REDACTED]');
+}
+
+// Escape a value for use in a regular expression
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Apply every redaction to a string
+function redact(text) {
+    let result = String(text);
+
+    secrets.forEach((replacement, secret) => {
+        result = result.replace(new RegExp(`(^|[^\\w-])${escapeRegExp(secret)}(?![\\w])`, 'g'), `$1${replacement}`);
+    });
+    REDACTIONS.forEach(([pattern, replacement]) => {
+        result = result.replace(pattern, replacement);
+    });
+
+    return result;
+}
+
+// Turn extra log arguments into text (errors by message, objects inspected)
+function formatDetail(detail) {
+    if (detail instanceof Error) {
+        return detail.message;
+    }
+    if (typeof detail === 'string') {
+        return detail;
+    }
+    return util.inspect(detail, { depth: 4, breakLength: Infinity });
+}
+
+// Write one log line. Stack traces of Error details follow it (text), or go in "stack" (JSON)
+function write(level, tag, message, details) {
+    if (LOG_LEVELS[level] < LOG_LEVEL) {
+        return;
+    }
+
+    const text = redact([message].concat(details.map(formatDetail)).join(' '));
+    const stacks = details.filter(detail => detail instanceof Error && detail.stack).map(error => redact(error.stack));
+    const time = new Date().toISOString();
+    const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+
+    if (LOG_FORMAT === 'json') {
+        const entry = { time: time, level: level, module: tag, msg: text };
+        if (stacks.length > 0) {
+            entry.stack = stacks.join('\n');
+        }
+        stream.write(JSON.stringify(entry) + '\n');
+    } else {
+        stream.write(`[${time}] ${level.toUpperCase().padEnd(5)} [${tag}] ${text}\n`);
+        stacks.forEach(stack => stream.write(`${stack}\n`));
+    }
+}
+
+// Logger for one module: logger.info('message', ...details)
+function createLogger(tag) {
+    return {
+        debug: (message, ...details) => write('debug', tag, message, details),
+        info: (message, ...details) => write('info', tag, message, details),
+        warn: (message, ...details) => write('warn', tag, message, details),
+        error: (message, ...details) => write('error', tag, message, details)
+    };
+}
+
+module.exports = {
+    createLogger,
+    addSecret,
+    maskChatId,
+    redact
+};
@@ -0,0 +1,130 @@
+// Minimal in-process Prometheus metrics (counters, histograms and gauges)
+
+const PREFIX = 'amazon_monitor_';
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]; // seconds
+
+// Every metric exposed on /metrics: name -> { type, help, buckets }
+const DEFINITIONS = {
+    poll_cycles_total: { type: 'counter', help: 'Polling cycles by result (ok, error, paused, waiting)' },
+    poll_cycle_duration_seconds: { type: 'histogram', help: 'Duration of polling cycles' },
+    graphql_requests_total: { type: 'counter', help: 'AppSync GraphQL requests by operation and HTTP status (or timeout/network_error)' },
+    graphql_request_duration_seconds: { type: 'histogram', help: 'AppSync GraphQL request latency by operation' },
+    token_extractions_total: { type: 'counter', help: 'Browser token extraction attempts by site and result (success, failure)' },
+    alerts_sent_total: { type: 'counter', help: 'Alerts delivered by channel' },
+    alerts_failed_total: { type: 'counter', help: 'Alert send failures by channel' },
+    alerts_rate_limited_total: { type: 'counter', help: 'Alert sends rejected with a rate limit by channel' },
+    alerts_dead_lettered_total: { type: 'counter', help: 'Alerts given up on by channel' },
+    alert_queue_pending: { type: 'gauge', help: 'Alerts waiting in the outbound queue' },
+    seen_jobs: { type: 'gauge', help: 'Jobs in the seen-job store' },
+    token_age_seconds: { type: 'gauge', help: 'Age of the oldest site auth token' }
+};
+
+// name -> Map(labelKey -> value) for counters, Map(labelKey -> { buckets, sum, count }) for histograms
+const series = {};
+// gauge name -> () => value
+const gaugeCollectors = {};
+
+// Stable label key / Prometheus label string ({a="1",b="2"})
+function formatLabels(labels) {
+    const keys = Object.keys(labels).sort();
+    if (keys.length === 0) {
+        return '';
+    }
+    return `{${keys.map(key => `${key}="${String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}`;
+}
+
+// Series map of a defined metric
+function getSeries(name, type) {
+    const definition = DEFINITIONS[name];
+    if (!definition || definition.type !== type) {
+        throw new Error(`Unknown ${type} metric "${name}"`);
+    }
+    if (!series[name]) {
+        series[name] = new Map();
+    }
+    return series[name];
+}
+
+// Add to a counter
+function incCounter(name, labels = {}, value = 1) {
+    const counters = getSeries(name, 'counter');
+    const key = formatLabels(labels);
+    counters.set(key, (counters.get(key) || 0) + value);
+}
+
+// Record one histogram observation (seconds)
+function observeHistogram(name, value, labels = {}) {
+    const histograms = getSeries(name, 'histogram');
+    const key = formatLabels(labels);
+    const buckets = DEFINITIONS[name].buckets || DEFAULT_BUCKETS;
+
+    if (!histograms.has(key)) {
+        histograms.set(key, { labels: labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    const histogram = histograms.get(key);
+    buckets.forEach((bound, index) => {
+        if (value <= bound) {
+            histogram.counts[index]++;
+        }
+    });
+    histogram.sum += value;
+    histogram.count++;
+}
+
+// Read a gauge's value from collect() whenever metrics are rendered
+function registerGauge(name, collect) {
+    if (!DEFINITIONS[name] || DEFINITIONS[name].type !== 'gauge') {
+        throw new Error(`Unknown gauge metric "${name}"`);
+    }
+    gaugeCollectors[name] = collect;
+}
+
+// Render every metric in the Prometheus text exposition format
+function renderMetrics() {
+    const lines = [];
+
+    Object.keys(DEFINITIONS).forEach(name => {
+        const definition = DEFINITIONS[name];
+        const fullName = PREFIX + name;
+        lines.push(`# HELP ${fullName} ${definition.help}`);
+        lines.push(`# TYPE ${fullName} ${definition.type}`);
+
+        if (definition.type === 'gauge') {
+            let value = null;
+            try {
+                value = gaugeCollectors[name] ? gaugeCollectors[name]() : null;
+            } catch (error) {
+                value = null;
+            }
+            if (typeof value === 'number' && !isNaN(value)) {
+                lines.push(`${fullName} ${value}`);
+            }
+            return;
+        }
+
+        const entries = series[name] || new Map();
+        if (definition.type === 'counter') {
+            entries.forEach((value, key) => lines.push(`${fullName}${key} ${value}`));
+            return;
+        }
+
+        const buckets = definition.buckets || DEFAULT_BUCKETS;
+        entries.forEach(histogram => {
+            buckets.forEach((bound, index) => {
+                lines.push(`${fullName}_bucket${formatLabels({ ...histogram.labels, le: bound })} ${histogram.counts[index]}`);
+            });
+            lines.push(`${fullName}_bucket${formatLabels({ ...histogram.labels, le: '+Inf' })} ${histogram.count}`);
+            lines.push(`${fullName}_sum${formatLabels(histogram.labels)} ${histogram.sum}`);
+            lines.push(`${fullName}_count${formatLabels(histogram.labels)} ${histogram.count}`);
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    incCounter,
+    observeHistogram,
+    registerGauge,
+    renderMetrics
+};
@@ -0,0 +1,38 @@
+const { postJson } = require('./http');
+
+const DISCORD_MESSAGE_LIMIT = 2000;
+
+// Discord notifier - posts each job to a Discord webhook
+// options: { webhookUrl, username }
+function createDiscordNotifier(options) {
+    if (!options.webhookUrl) {
+        throw new Error('Discord notifier requires a webhookUrl');
+    }
+
+    // One message per job
+    async function prepare(jobs, formatMessage) {
+        const alerts = [];
+        for (const job of jobs) {
+            alerts.push({ target: 'webhook', payload: { text: await formatMessage(job) } });
+        }
+        return alerts;
+    }
+
+    // Post one message
+    async function send(target, payload) {
+        await postJson(options.webhookUrl, {
+            username: options.username || 'Amazon Job Monitor',
+            content: payload.text.substring(0, DISCORD_MESSAGE_LIMIT)
+        });
+    }
+
+    return {
+        name: 'discord',
+        prepare,
+        send
+    };
+}
+
+module.exports = {
+    createDiscordNotifier
+};
@@ -0,0 +1,63 @@
+const nodemailer = require('nodemailer');
+
+// Email subjects per alert event
+const SUBJECTS = {
+    new_job: 'new Amazon job(s)',
+    new_schedules: 'Amazon job(s) with new shifts',
+    schedules_gone: 'Amazon job(s) with no shifts left'
+};
+
+// Email notifier - sends one email per batch of jobs over SMTP
+// options: { host, port, secure, user, pass, from, to }
+// (pass falls back to the SMTP_PASSWORD environment variable)
+function createEmailNotifier(options) {
+    const recipients = [].concat(options.to || []);
+    if (!options.host || !options.from || recipients.length === 0) {
+        throw new Error('Email notifier requires host, from and to');
+    }
+
+    const transport = nodemailer.createTransport({
+        host: options.host,
+        port: options.port || 587,
+        secure: Boolean(options.secure),
+        auth: options.user ? {
+            user: options.user,
+            pass: options.pass || process.env.SMTP_PASSWORD
+        } : undefined
+    });
+
+    // One email per batch of jobs
+    async function prepare(jobs, formatMessage, event) {
+        const messages = [];
+        for (const job of jobs) {
+            messages.push(await formatMessage(job));
+        }
+
+        return [{
+            target: recipients.join(', '),
+            payload: {
+                subject: `${jobs.length} ${SUBJECTS[event] || SUBJECTS.new_job}`,
+                text: messages.join('\n\n')
+            }
+        }];
+    }
+
+    async function send(target, payload) {
+        await transport.sendMail({
+            from: options.from,
+            to: target,
+            subject: payload.subject,
+            text: payload.text
+        });
+    }
+
+    return {
+        name: 'email',
+        prepare,
+        send
+    };
+}
+
+module.exports = {
+    createEmailNotifier
+};
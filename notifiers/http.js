@@ -0,0 +1,36 @@
+const fetch = require('node-fetch');
+
+const REQUEST_TIMEOUT = 10000; // 10 seconds
+
+// POST a JSON body. A 429 throws with error.retryAfter (seconds, from retry_after / Retry-After)
+// so the alert queue can wait it out; other 4xx responses are permanent failures.
+async function postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers
+        },
+        body: JSON.stringify(body),
+        timeout: REQUEST_TIMEOUT
+    });
+
+    if (response.status === 429) {
+        const data = await response.json().catch(() => ({}));
+        const retryAfter = parseFloat(data.retry_after || response.headers.get('retry-after') || '5');
+        throw Object.assign(new Error(`Rate limited by ${new URL(url).host}`), { retryAfter: retryAfter });
+    }
+
+    if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        const error = new Error(`HTTP ${response.status} from ${new URL(url).host}: ${text.substring(0, 200)}`);
+        error.permanent = response.status >= 400 && response.status < 500;
+        throw error;
+    }
+
+    return response;
+}
+
+module.exports = {
+    postJson
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { jobMatchesFilters } = require('../alert-rules');
+const { enqueueAlerts } = require('../alert-queue');
+const { createTelegramNotifier } = require('./telegram');
+const { createDiscordNotifier } = require('./discord');
+const { createSlackNotifier } = require('./slack');
+const { createEmailNotifier } = require('./email');
+const { createWebhookNotifier } = require('./webhook');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('notifiers');
+
+// Default notifiers file (override with NOTIFIERS_FILE)
+const DEFAULT_NOTIFIERS_FILE = path.join(__dirname, '..', 'notifiers.json');
+
+// Notifier factories by config key. Each notifier is { name, prepare, send }:
+// - prepare(jobs, formatMessage, event) resolves to [{ target, payload }] to queue, where
+//   formatMessage(job, format, { timeZone }) resolves to the alert text ('text' by default, or
+//   Telegram 'html', with times in the given timezone) and event is new_job, new_schedules or schedules_gone
+// - send(target, payload) delivers one queued alert (see alert-queue.js for its error contract)
+// - prepareEdits(jobs, complete, formatMessage, formatTime) (optional) resolves to edits of
+//   already posted alerts, queued and sent like alerts (formatTime(timeZone) is the current time)
+// - prepareDigests(now) (optional) resolves to the scheduled digests and quiet hours catch-ups that are due
+const FACTORIES = {
+    telegram: createTelegramNotifier,
+    discord: createDiscordNotifier,
+    slack: createSlackNotifier,
+    email: createEmailNotifier,
+    webhook: createWebhookNotifier
+};
+
+// Only pass jobs matching the notifier's "filters" (same format as alert-rules.json)
+function withFilters(notifier, filters) {
+    if (!filters || Object.keys(filters).length === 0) {
+        return notifier;
+    }
+
+    return {
+        ...notifier,
+        prepare: async (jobs, formatMessage, event) => {
+            const matchingJobs = jobs.filter(job => jobMatchesFilters(job, filters, job.openedSchedules || job.schedules || null));
+            return matchingJobs.length > 0 ? notifier.prepare(matchingJobs, formatMessage, event) : [];
+        }
+    };
+}
+
+// Build the enabled notifiers from notifiers.json (Telegram only when there is no file).
+// telegramOptions are passed to the Telegram notifier: { botToken, getDestinations }
+function loadNotifiers(telegramOptions, filePath = process.env.NOTIFIERS_FILE || DEFAULT_NOTIFIERS_FILE) {
+    let settings = { telegram: { enabled: true } };
+
+    if (fs.existsSync(filePath)) {
+        settings = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    const notifiers = [];
+    Object.keys(settings).forEach(key => {
+        const options = settings[key] || {};
+        if (!options.enabled) {
+            return;
+        }
+        if (!FACTORIES[key]) {
+            throw new Error(`Unknown notifier "${key}" in ${filePath}`);
+        }
+
+        const notifier = key === 'telegram'
+            ? FACTORIES.telegram({ ...options, ...telegramOptions })
+            : FACTORIES[key](options);
+        notifiers.push(withFilters(notifier, options.filters));
+    });
+
+    if (notifiers.length === 0) {
+        throw new Error(`No notifiers enabled in ${filePath}`);
+    }
+
+    logger.info(`📣 Notifiers enabled: ${notifiers.map(n => n.name).join(', ')}`);
+    return notifiers;
+}
+
+// Queue alerts for jobs through every notifier; a failing notifier doesn't block the others
+async function notifyAll(notifiers, jobs, formatMessage, event = 'new_job') {
+    const results = await Promise.allSettled(notifiers.map(notifier => notifier.prepare(jobs, formatMessage, event)));
+
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            logger.error(`❌ Notifier ${notifiers[index].name} failed:`, result.reason && result.reason.message);
+            return;
+        }
+        enqueueAlerts(result.value.map(alert => ({ channel: notifiers[index].name, ...alert })));
+    });
+}
+
+// Queue edits of posted alerts for notifiers that support them (jobs are this cycle's listed jobs)
+async function updatePostedAlerts(notifiers, jobs, complete, formatMessage, formatTime) {
+    for (const notifier of notifiers) {
+        if (!notifier.prepareEdits) {
+            continue;
+        }
+        try {
+            const edits = await notifier.prepareEdits(jobs, complete, formatMessage, formatTime);
+            enqueueAlerts(edits.map(edit => ({ channel: notifier.name, ...edit })));
+        } catch (error) {
+            logger.error(`❌ Notifier ${notifier.name} failed to prepare edits:`, error.message);
+        }
+    }
+}
+
+// Queue the scheduled digests that are due
+async function deliverDigests(notifiers) {
+    for (const notifier of notifiers) {
+        if (!notifier.prepareDigests) {
+            continue;
+        }
+        try {
+            const digests = await notifier.prepareDigests();
+            enqueueAlerts(digests.map(digest => ({ channel: notifier.name, ...digest })));
+        } catch (error) {
+            logger.error(`❌ Notifier ${notifier.name} failed to prepare digests:`, error.message);
+        }
+    }
+}
+
+// Senders for the alert queue worker, by notifier name
+function getNotifierSenders(notifiers) {
+    const senders = {};
+    notifiers.forEach(notifier => {
+        senders[notifier.name] = notifier.send;
+    });
+    return senders;
+}
+
+module.exports = {
+    loadNotifiers,
+    notifyAll,
+    updatePostedAlerts,
+    deliverDigests,
+    getNotifierSenders
+};
@@ -0,0 +1,33 @@
+const { postJson } = require('./http');
+
+// Slack notifier - posts each job to a Slack incoming webhook
+// options: { webhookUrl }
+function createSlackNotifier(options) {
+    if (!options.webhookUrl) {
+        throw new Error('Slack notifier requires a webhookUrl');
+    }
+
+    // One message per job
+    async function prepare(jobs, formatMessage) {
+        const alerts = [];
+        for (const job of jobs) {
+            alerts.push({ target: 'webhook', payload: { text: await formatMessage(job) } });
+        }
+        return alerts;
+    }
+
+    // Post one message
+    async function send(target, payload) {
+        await postJson(options.webhookUrl, { text: payload.text });
+    }
+
+    return {
+        name: 'slack',
+        prepare,
+        send
+    };
+}
+
+module.exports = {
+    createSlackNotifier
+};
@@ -0,0 +1,552 @@
+const fetch = require('node-fetch');
+const { jobMatchesDestination, destinationTimezone, isQuietHours } = require('../alert-rules');
+const { buildJobDetailUrl } = require('../search-profiles');
+const { formatDistance } = require('../home-points');
+const { escapeHtml, getTemplateSet, localizeJob, renderAlertTemplate, getTemplateString } = require('../alert-templates');
+const { recordPostedAlert, updatePostedAlert, removePostedAlert, getPostedAlerts } = require('../posted-alert-store');
+const { addDigestJobs, updateDigestListings, isDigestDue, takeDigest, holdCatchUpJobs, hasCatchUp, takeCatchUp } = require('../digest-store');
+const { createLogger, maskChatId } = require('../logger');
+
+const logger = createLogger('telegram');
+
+const MAX_JOBS_PER_ALERT = 999;
+
+// Bot API endpoint (point TELEGRAM_API_BASE at replay/telegram-stub.js to run offline)
+const TELEGRAM_API_BASE = (process.env.TELEGRAM_API_BASE || 'https://api.telegram.org').replace(/\/+$/, '');
+
+// Message limits
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+const MAX_SCHEDULE_BUTTONS = 10;
+const LONG_MESSAGE_MODE = process.env.TELEGRAM_LONG_MESSAGES || 'split'; // 'split' or 'truncate'
+
+// A queued edit that hasn't been sent after this long (failed or lost on restart) may be queued again
+const EDIT_RETRY_MS = 10 * 60 * 1000;
+
+// Short button label for a schedule ("📅 2024-06-03 · 40h · $21.50")
+function scheduleButtonLabel(schedule) {
+    const parts = [schedule.firstDayOnSite || schedule.scheduleId];
+    if (schedule.hoursPerWeek) {
+        parts.push(`${schedule.hoursPerWeek}h`);
+    }
+    if (schedule.totalPayRateL10N) {
+        parts.push(schedule.totalPayRateL10N);
+    }
+    return `📅 ${parts.join(' · ')}`;
+}
+
+// Inline keyboard: an Apply button for the job, then one button per schedule
+// (the last button links to the job when there are more than MAX_SCHEDULE_BUTTONS).
+// Labels and link language come from the destination's template set.
+function buildJobKeyboard(job, templates = null) {
+    const locale = getTemplateSet(templates).locale;
+    const rows = [[{ text: getTemplateString(templates, 'apply'), url: buildJobDetailUrl(job, null, locale) }]];
+    const schedules = job.openedSchedules || job.schedules || [];
+
+    schedules.slice(0, MAX_SCHEDULE_BUTTONS).forEach(schedule => {
+        rows.push([{ text: scheduleButtonLabel(schedule), url: buildJobDetailUrl(job, schedule.scheduleId, locale) }]);
+    });
+    if (schedules.length > MAX_SCHEDULE_BUTTONS) {
+        rows.push([{
+            text: getTemplateString(templates, 'moreSchedules', { count: schedules.length - MAX_SCHEDULE_BUTTONS }),
+            url: buildJobDetailUrl(job, null, locale)
+        }]);
+    }
+
+    return { inline_keyboard: rows };
+}
+
+// The job details shown in a posted alert that are kept up to date by edits
+function alertSnapshot(job) {
+    return {
+        scheduleCount: job.scheduleCount || 0,
+        pay: [job.totalPayRateMinL10N, job.totalPayRateMaxL10N].filter(Boolean).join(' - ')
+    };
+}
+
+// Tags still open at the end of an HTML fragment, outermost first ({ name, tag })
+function findOpenTags(html) {
+    const open = [];
+    const pattern = /<(\/?)([a-z][a-z0-9-]*)[^>]*>/gi;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        const name = match[2].toLowerCase();
+        if (!match[1]) {
+            open.push({ name: name, tag: match[0] });
+            continue;
+        }
+        const index = open.map(tag => tag.name).lastIndexOf(name);
+        if (index >= 0) {
+            open.splice(index);
+        }
+    }
+    return open;
+}
+
+// Last position at or before limit that is not inside a tag or an entity
+function safeCutIndex(html, limit) {
+    const head = html.substring(0, limit);
+    const partial = /<[^>]*$|&[#\w]*$/.exec(head);
+    return partial ? partial.index : head.length;
+}
+
+// Cut a block that is too long on its own into pieces at line breaks (or anywhere outside a
+// tag or entity, for a single huge line). Tags open at a cut are closed and opened again.
+function cutBlock(block, limit) {
+    const pieces = [];
+    let rest = block;
+    let reopened = 0; // Length of the tags opened again at the start of rest
+
+    while (rest.length > limit) {
+        let room = limit;
+        let cut;
+        let open;
+        let closing;
+        do {
+            const lineBreak = rest.lastIndexOf('\n', room);
+            cut = lineBreak > 0 ? lineBreak : safeCutIndex(rest, room);
+            open = findOpenTags(rest.substring(0, cut));
+            closing = open.slice().reverse().map(tag => `</${tag.name}>`).join('');
+            room = limit - closing.length;
+        } while (cut > reopened && cut + closing.length > limit);
+
+        if (cut <= reopened) {
+            pieces.push(rest.substring(0, limit)); // No safe place to cut
+            rest = rest.substring(limit);
+            reopened = 0;
+            continue;
+        }
+        const reopen = open.map(tag => tag.tag).join('');
+        pieces.push(rest.substring(0, cut) + closing);
+        rest = reopen + rest.substring(cut).replace(/^\n/, '');
+        reopened = reopen.length;
+    }
+
+    pieces.push(rest);
+    return pieces;
+}
+
+// Fit an HTML message into Telegram's limit. Messages are cut between blank-line separated
+// blocks (one per schedule) so tags are never split; a single block over the limit is cut
+// with cutBlock. 'split' returns several messages, 'truncate' keeps the first and last blocks
+// and replaces the middle with "+N more".
+function splitMessage(text, limit = TELEGRAM_MESSAGE_LIMIT, mode = LONG_MESSAGE_MODE) {
+    if (text.length <= limit) {
+        return [text];
+    }
+
+    const blocks = text.split('\n\n').flatMap(block => block.length > limit ? cutBlock(block, limit) : [block]);
+
+    if (mode === 'truncate') {
+        const last = blocks.pop();
+        const kept = [];
+        let length = last.length;
+        for (const block of blocks) {
+            if (length + block.length + 60 > limit) {
+                break;
+            }
+            kept.push(block);
+            length += block.length + 2;
+        }
+        const dropped = blocks.length - kept.length;
+        return [kept.concat(`<i>… +${dropped} more (see the job posting)</i>`, last).join('\n\n')];
+    }
+
+    const messages = [];
+    let current = '';
+    blocks.forEach(block => {
+        if (current && current.length + 2 + block.length > limit) {
+            messages.push(current);
+            current = block;
+        } else {
+            current = current ? `${current}\n\n${block}` : block;
+        }
+    });
+    if (current) {
+        messages.push(current);
+    }
+    return messages;
+}
+
+// Per-cycle batch message: one line per job (batch.html of the destination's template set)
+function formatBatchMessage(jobs, templates = null) {
+    const locale = getTemplateSet(templates).locale;
+    return renderAlertTemplate(templates, 'batch', {
+        count: jobs.length,
+        jobs: jobs.map(job => ({
+            ...localizeJob(job, locale),
+            link: buildJobDetailUrl(job, null, locale),
+            homeDistance: typeof job.distanceKm === 'number' ? formatDistance(job.distanceKm) : null
+        }))
+    }, 'html');
+}
+
+// Pay range of a group of digest jobs ("21.50-23.00 CAD"; null when none has a pay)
+function formatPayRange(jobs) {
+    const mins = jobs.map(job => job.payMin).filter(pay => pay !== null);
+    const maxes = jobs.map(job => job.payMax).filter(pay => pay !== null);
+    if (mins.length === 0) {
+        return null;
+    }
+    const low = Math.min(...mins).toFixed(2);
+    const high = Math.max(...maxes).toFixed(2);
+    return `${low === high ? low : `${low}-${high}`} ${jobs[0].currencyCode}`.trim();
+}
+
+// Digest section: jobs grouped by location (largest group first) with a pay range per group
+function groupDigestJobs(jobs) {
+    const byLocation = new Map();
+    jobs.forEach(job => {
+        byLocation.set(job.location, (byLocation.get(job.location) || []).concat(job));
+    });
+
+    return Array.from(byLocation.entries())
+        .sort((a, b) => b[1].length - a[1].length)
+        .map(([location, group]) => ({ location: location, count: group.length, pay: formatPayRange(group) }));
+}
+
+// Short date and time in a destination's timezone and template locale ("10-18, 22:05")
+function formatShortTime(timestamp, timeZone, locale = 'en-CA') {
+    return new Date(timestamp).toLocaleString(locale, {
+        timeZone: timeZone,
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+    });
+}
+
+// Scheduled digest message (digest.html)
+function formatDigestMessage(delivery, digest, timeZone, templates = null) {
+    const locale = getTemplateSet(templates).locale;
+    return renderAlertTemplate(templates, 'digest', {
+        hourly: delivery === 'hourly',
+        since: formatShortTime(digest.since, timeZone, locale),
+        opened: groupDigestJobs(digest.opened),
+        openedCount: digest.opened.length,
+        stillOpen: groupDigestJobs(digest.stillOpen),
+        stillOpenCount: digest.stillOpen.length,
+        filled: groupDigestJobs(digest.filled),
+        filledCount: digest.filled.length
+    }, 'html');
+}
+
+// Catch-up message for the jobs held during quiet hours that are still open (catch_up.html)
+function formatCatchUpMessage(catchUp, timeZone, templates = null) {
+    const locale = getTemplateSet(templates).locale;
+    return renderAlertTemplate(templates, 'catch_up', {
+        since: formatShortTime(catchUp.since, timeZone, locale),
+        jobs: catchUp.jobs
+            .sort((a, b) => a.openedAt - b.openedAt)
+            .map(job => ({
+                link: buildJobDetailUrl(job, null, locale),
+                location: job.location,
+                pay: formatPayRange([job]),
+                opened: formatShortTime(job.openedAt, timeZone, locale)
+            })),
+        filledCount: catchUp.filledCount
+    }, 'html');
+}
+
+// Whether a destination gets scheduled digests instead of alerts
+function isDigestDelivery(destination) {
+    return destination.delivery === 'hourly' || destination.delivery === 'daily';
+}
+
+// Telegram notifier - one HTML message per job (split when too long) to every chat whose rules match it
+// options: { botToken, getDestinations }
+function createTelegramNotifier(options) {
+    const botToken = options.botToken;
+
+    // "chatId:messageId" -> when an edit of the message was queued
+    const pendingEdits = new Map();
+
+    // Build messages for every destination according to its delivery mode: one message per
+    // matching job ('immediate'), one message for all new jobs of the cycle ('batch'), or
+    // nothing now and a scheduled digest later ('hourly' / 'daily').
+    // During a destination's quiet hours alerts are held for its catch-up ('catchup'), or sent
+    // with disable_notification ('silent').
+    // Every message of a new-job alert is recorded when sent so it can be edited later.
+    async function prepare(jobs, formatMessage, event) {
+        const alerts = [];
+        const now = Date.now();
+
+        for (const destination of options.getDestinations()) {
+            const matchingJobs = jobs.filter(job => jobMatchesDestination(destination, job)).slice(0, MAX_JOBS_PER_ALERT);
+
+            if (matchingJobs.length === 0) {
+                continue;
+            }
+
+            if (isDigestDelivery(destination)) {
+                if (event === 'new_job') {
+                    addDigestJobs(destination.name, matchingJobs);
+                    logger.info(`📰 ${matchingJobs.length} job(s) added to the ${destination.delivery} digest of "${destination.name}"`);
+                }
+                continue;
+            }
+
+            logger.info(`📬 ${matchingJobs.length}/${jobs.length} jobs match destination "${destination.name}"`);
+
+            const quiet = isQuietHours(destination, now);
+            if (quiet && destination.quietMode !== 'silent') {
+                if (event !== 'schedules_gone') {
+                    holdCatchUpJobs(destination.name, matchingJobs, now);
+                    logger.info(`🌙 ${matchingJobs.length} job(s) held for the quiet hours catch-up of "${destination.name}"`);
+                }
+                continue;
+            }
+
+            if (destination.delivery === 'batch' && event === 'new_job' && matchingJobs.length > 1) {
+                splitMessage(formatBatchMessage(matchingJobs, destination.templates)).forEach(text => {
+                    alerts.push({ target: destination.chatId, payload: { text: text, parseMode: 'HTML', disableNotification: quiet } });
+                });
+                continue;
+            }
+
+            for (const job of matchingJobs) {
+                const messages = splitMessage(await formatMessage(job, 'html', { timeZone: destinationTimezone(destination), templates: destination.templates }));
+                if (messages.length > 1) {
+                    logger.info(`✂️  Alert for job ${job.jobId} split into ${messages.length} messages`);
+                }
+                messages.forEach((text, index) => {
+                    alerts.push({
+                        target: destination.chatId,
+                        payload: {
+                            text: text,
+                            parseMode: 'HTML',
+                            disableNotification: quiet,
+                            replyMarkup: index === 0 ? buildJobKeyboard(job, destination.templates) : null,
+                            track: event === 'new_job'
+                                ? { jobId: job.jobId, part: index, parts: messages.length, ...alertSnapshot(job) }
+                                : null
+                        }
+                    });
+                });
+            }
+        }
+
+        return alerts;
+    }
+
+    // Queue edits of posted new-job alerts: re-render them when the schedule count or pay of a
+    // listed job changed, and mark them filled when the job is no longer listed.
+    // complete is false when some search profile failed (unlisted jobs are then left alone).
+    // Edits use the timezone and templates of the destination the alert was posted to. Every part
+    // of a split alert is edited; the store is only updated once an edit is sent (payload.trackEdit),
+    // and a message with an edit waiting in the queue is not edited again until EDIT_RETRY_MS.
+    async function prepareEdits(jobs, complete, formatMessage, formatTime) {
+        const jobsById = new Map(jobs.map(job => [job.jobId, job]));
+        const destinations = new Map(options.getDestinations().reverse().map(destination => [destination.chatId, {
+            timeZone: destinationTimezone(destination),
+            templates: destination.templates || null
+        }]));
+        const rendered = new Map(); // "chatId:jobId" -> messages
+        const edits = [];
+        const now = Date.now();
+
+        // Digest jobs follow the same listings
+        updateDigestListings(new Set(jobsById.keys()), complete);
+
+        const queueEdit = (posted, payload, changes) => {
+            pendingEdits.set(`${posted.chatId}:${posted.messageId}`, now);
+            edits.push({
+                target: posted.chatId,
+                payload: { editMessageId: posted.messageId, parseMode: 'HTML', ...payload, trackEdit: changes }
+            });
+        };
+
+        for (const posted of getPostedAlerts()) {
+            const job = jobsById.get(posted.jobId);
+            const style = destinations.get(posted.chatId) || { timeZone: undefined, templates: null };
+            const part = posted.part || 0;
+            const parts = posted.parts || 1;
+
+            if (now - (pendingEdits.get(`${posted.chatId}:${posted.messageId}`) || 0) < EDIT_RETRY_MS) {
+                continue;
+            }
+
+            if (!job) {
+                if (posted.filled || !complete) {
+                    continue;
+                }
+                queueEdit(posted, {
+                    text: splitMessage(`${renderAlertTemplate(style.templates, 'filled', {
+                        time: formatTime(style.timeZone, getTemplateSet(style.templates).locale)
+                    }, 'html')}\n\n${posted.text}`)[0],
+                    replyMarkup: null
+                }, { filled: true });
+                continue;
+            }
+
+            const snapshot = alertSnapshot(job);
+            if (!posted.filled && snapshot.scheduleCount === posted.scheduleCount && snapshot.pay === posted.pay) {
+                continue;
+            }
+
+            const renderKey = `${posted.chatId}:${posted.jobId}`;
+            if (!rendered.has(renderKey)) {
+                rendered.set(renderKey, splitMessage(await formatMessage(job, 'html', style)));
+            }
+            const messages = rendered.get(renderKey);
+
+            // The last posted part takes whatever no longer fits; parts left over show a short note
+            let text;
+            if (part >= messages.length) {
+                text = `<i>${escapeHtml(getTemplateString(style.templates, 'noMoreSchedules'))}</i>`;
+            } else if (part === parts - 1) {
+                text = splitMessage(messages.slice(part).join('\n\n'), TELEGRAM_MESSAGE_LIMIT, 'truncate')[0];
+            } else {
+                text = messages[part];
+            }
+            queueEdit(posted, {
+                text: text,
+                replyMarkup: part === 0 ? buildJobKeyboard(job, style.templates) : null
+            }, { ...snapshot, text: text, filled: false });
+        }
+
+        if (edits.length > 0) {
+            logger.info(`✏️  ${edits.length} posted alert(s) to edit`);
+        }
+        return edits;
+    }
+
+    // Build the digests that are due (empty digests are skipped) and the catch-ups of
+    // destinations whose quiet hours are over. A digest due during quiet hours waits for the
+    // end of them ('catchup') or is sent with disable_notification ('silent').
+    async function prepareDigests(now = Date.now()) {
+        const alerts = [];
+
+        options.getDestinations().forEach(destination => {
+            const quiet = isQuietHours(destination, now);
+            const timeZone = destinationTimezone(destination);
+
+            if (!quiet && hasCatchUp(destination.name)) {
+                const catchUp = takeCatchUp(destination.name);
+                logger.info(`🌅 Quiet hours catch-up for "${destination.name}": ${catchUp.jobs.length} still open, ${catchUp.filledCount} filled and dropped`);
+                if (catchUp.jobs.length > 0) {
+                    splitMessage(formatCatchUpMessage(catchUp, timeZone, destination.templates)).forEach(text => {
+                        alerts.push({ target: destination.chatId, payload: { text: text, parseMode: 'HTML' } });
+                    });
+                }
+            }
+
+            if (!isDigestDelivery(destination) || (quiet && destination.quietMode !== 'silent')) {
+                return;
+            }
+            if (!isDigestDue(destination.name, destination.delivery, destination.digestAt, timeZone, now)) {
+                return;
+            }
+
+            const digest = takeDigest(destination.name, now);
+            const total = digest.opened.length + digest.stillOpen.length + digest.filled.length;
+            logger.info(`📰 ${destination.delivery} digest for "${destination.name}": ${digest.opened.length} opened, ${digest.stillOpen.length} still open, ${digest.filled.length} filled`);
+            if (total === 0) {
+                return;
+            }
+
+            splitMessage(formatDigestMessage(destination.delivery, digest, timeZone, destination.templates)).forEach(text => {
+                alerts.push({ target: destination.chatId, payload: { text: text, parseMode: 'HTML', disableNotification: quiet } });
+            });
+        });
+
+        return alerts;
+    }
+
+    // Record a sent edit in the posted alert store
+    function editSent(chatId, payload) {
+        pendingEdits.delete(`${chatId}:${payload.editMessageId}`);
+        if (payload.trackEdit) {
+            updatePostedAlert(String(chatId), payload.editMessageId, payload.trackEdit);
+        }
+    }
+
+    // Send one message, or edit a posted one (payload.editMessageId).
+    // 429s carry Telegram's retry_after; 400/403 (bad chat, bot blocked) are permanent.
+    async function send(chatId, payload) {
+        if (!botToken || !chatId) {
+            throw Object.assign(new Error('Telegram configuration missing!'), { permanent: true });
+        }
+
+        const message = {
+            chat_id: chatId,
+            text: payload.text,
+            disable_web_page_preview: true
+        };
+        if (payload.parseMode) {
+            message.parse_mode = payload.parseMode;
+        }
+        if (payload.replyMarkup) {
+            message.reply_markup = payload.replyMarkup;
+        }
+        if (payload.disableNotification) {
+            message.disable_notification = true;
+        }
+        if (payload.editMessageId) {
+            message.message_id = payload.editMessageId;
+        }
+
+        const method = payload.editMessageId ? 'editMessageText' : 'sendMessage';
+        const telegramResponse = await fetch(`${TELEGRAM_API_BASE}/bot${botToken}/${method}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(message),
+            timeout: 10000
+        });
+
+        const result = await telegramResponse.json().catch(() => ({}));
+
+        if (telegramResponse.status === 429) {
+            const retryAfter = (result.parameters && result.parameters.retry_after) || 10;
+            throw Object.assign(new Error(`Telegram rate limit (retry after ${retryAfter}s)`), { retryAfter: retryAfter });
+        }
+
+        if (payload.editMessageId && telegramResponse.status === 400) {
+            const description = result.description || '';
+            if (/message is not modified/i.test(description)) {
+                editSent(chatId, payload);
+                return;
+            }
+            if (/message to edit not found|message can't be edited/i.test(description)) {
+                logger.warn(`⚠️  Posted alert ${payload.editMessageId} in chat ${maskChatId(chatId)} can no longer be edited, forgetting it`);
+                pendingEdits.delete(`${chatId}:${payload.editMessageId}`);
+                removePostedAlert(chatId, payload.editMessageId);
+                return;
+            }
+        }
+
+        if (!telegramResponse.ok || !result.ok) {
+            const error = new Error(`Telegram API error ${telegramResponse.status}: ${result.description || telegramResponse.statusText}`);
+            error.permanent = telegramResponse.status === 400 || telegramResponse.status === 403;
+            throw error;
+        }
+
+        if (payload.editMessageId) {
+            editSent(chatId, payload);
+        }
+        if (payload.track && result.result) {
+            recordPostedAlert({
+                chatId: String(chatId),
+                messageId: result.result.message_id,
+                text: payload.text,
+                ...payload.track
+            });
+        }
+    }
+
+    return {
+        name: 'telegram',
+        prepare,
+        prepareEdits,
+        prepareDigests,
+        send
+    };
+}
+
+module.exports = {
+    TELEGRAM_API_BASE,
+    createTelegramNotifier,
+    splitMessage
+};
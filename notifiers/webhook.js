@@ -0,0 +1,33 @@
+const { postJson } = require('./http');
+
+// Generic webhook notifier - posts each alert as JSON: { event, job, text, sentAt }
+// options: { url, headers }
+function createWebhookNotifier(options) {
+    if (!options.url) {
+        throw new Error('Webhook notifier requires a url');
+    }
+
+    // One message per job
+    async function prepare(jobs, formatMessage, event) {
+        const alerts = [];
+        for (const job of jobs) {
+            alerts.push({ target: 'webhook', payload: { event: event, job: job, text: await formatMessage(job) } });
+        }
+        return alerts;
+    }
+
+    // Post one message
+    async function send(target, payload) {
+        await postJson(options.url, { ...payload, sentAt: new Date().toISOString() }, options.headers || {});
+    }
+
+    return {
+        name: 'webhook',
+        prepare,
+        send
+    };
+}
+
+module.exports = {
+    createWebhookNotifier
+};
@@ -0,0 +1,173 @@
+// Single-flight polling scheduler: the next cycle starts only after the current one
+// finishes, with exponential backoff on retryable errors and a circuit breaker.
+
+const { incCounter, observeHistogram } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('scheduler');
+
+// Polling intervals and time-of-day windows
+const FAST_INTERVAL = parseInt(process.env.POLL_FAST_INTERVAL_MS, 10) || 1000; // 1 second
+const SLOW_INTERVAL = parseInt(process.env.POLL_SLOW_INTERVAL_MS, 10) || 10000; // 10 seconds
+const FAST_WINDOWS = process.env.POLL_FAST_WINDOWS || '00:00-24:00'; // e.g. "06:00-10:00,16:00-23:30"
+const POLL_TIMEZONE = process.env.POLL_TIMEZONE || 'America/Toronto';
+
+// Backoff and circuit breaker
+const BACKOFF_MAX = parseInt(process.env.POLL_BACKOFF_MAX_MS, 10) || 5 * 60 * 1000; // 5 minutes
+const CIRCUIT_BREAKER_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD, 10) || 10;
+const CIRCUIT_BREAKER_COOLDOWN = parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS, 10) || 15 * 60 * 1000; // 15 minutes
+
+// Scheduler state
+let running = false;
+let timer = null;
+let consecutiveFailures = 0;
+let circuitOpenUntil = null;
+let lastCycleAt = null;
+let nextCycleAt = null;
+
+// Parse "HH:MM-HH:MM,..." into minute-of-day ranges
+function parseWindows(spec) {
+    return spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = part.match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+        if (!match) {
+            throw new Error(`Invalid POLL_FAST_WINDOWS entry "${part}" (expected HH:MM-HH:MM)`);
+        }
+        return {
+            start: parseInt(match[1], 10) * 60 + parseInt(match[2], 10),
+            end: parseInt(match[3], 10) * 60 + parseInt(match[4], 10)
+        };
+    });
+}
+
+const fastWindows = parseWindows(FAST_WINDOWS);
+
+// Current minute of the day in POLL_TIMEZONE
+function minuteOfDay(date = new Date()) {
+    const [hour, minute] = date.toLocaleString('en-GB', {
+        timeZone: POLL_TIMEZONE,
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+    }).split(':').map(value => parseInt(value, 10));
+    return (hour % 24) * 60 + minute;
+}
+
+// Base interval for the current time of day (windows may wrap past midnight)
+function currentInterval(date = new Date()) {
+    const minute = minuteOfDay(date);
+    const inFastWindow = fastWindows.some(window => window.start <= window.end
+        ? minute >= window.start && minute < window.end
+        : minute >= window.start || minute < window.end);
+    return inFastWindow ? FAST_INTERVAL : SLOW_INTERVAL;
+}
+
+// 429, 5xx and network errors (appsync-client marks these retryable) are retried with backoff
+function isRetryableError(error) {
+    if (!error) {
+        return false;
+    }
+    if (error.retryable || error.status === 429 || error.status >= 500) {
+        return true;
+    }
+    return error.name === 'FetchError' || error.name === 'AbortError' ||
+        ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code);
+}
+
+// Exponential backoff with full jitter, capped at BACKOFF_MAX
+function backoffDelay(failures, baseInterval) {
+    const ceiling = Math.min(BACKOFF_MAX, baseInterval * Math.pow(2, failures));
+    return Math.max(baseInterval, Math.round(Math.random() * ceiling));
+}
+
+// Decide how long to wait after a cycle
+function nextDelay(result, elapsed) {
+    const baseInterval = currentInterval();
+
+    if (!result || result.status !== 'error') {
+        if (consecutiveFailures > 0) {
+            logger.info(`✅ Polling recovered after ${consecutiveFailures} failed cycle(s)`);
+        }
+        consecutiveFailures = 0;
+        circuitOpenUntil = null;
+        return Math.max(0, baseInterval - elapsed);
+    }
+
+    consecutiveFailures++;
+
+    if (consecutiveFailures >= CIRCUIT_BREAKER_THRESHOLD) {
+        circuitOpenUntil = Date.now() + CIRCUIT_BREAKER_COOLDOWN;
+        logger.error(`🔌 Circuit breaker open after ${consecutiveFailures} consecutive failures - polling stopped for ${Math.round(CIRCUIT_BREAKER_COOLDOWN / 1000)}s`);
+        return CIRCUIT_BREAKER_COOLDOWN;
+    }
+
+    if (isRetryableError(result.error)) {
+        const delay = backoffDelay(consecutiveFailures, baseInterval);
+        logger.warn(`⏳ Backing off ${(delay / 1000).toFixed(1)}s after failure ${consecutiveFailures}/${CIRCUIT_BREAKER_THRESHOLD} (${result.error.message})`);
+        return delay;
+    }
+
+    return Math.max(0, baseInterval - elapsed);
+}
+
+// Run one cycle, then schedule the next
+async function runScheduledCycle(runCycle) {
+    timer = null;
+    if (!running) {
+        return;
+    }
+
+    if (circuitOpenUntil) {
+        logger.info(`🔌 Circuit breaker half-open, trying one cycle...`);
+    }
+
+    const startedAt = Date.now();
+    let result;
+    try {
+        result = await runCycle();
+    } catch (error) {
+        result = { status: 'error', error: error };
+    }
+    lastCycleAt = Date.now();
+    incCounter('poll_cycles_total', { result: (result && result.status) || 'ok' });
+    observeHistogram('poll_cycle_duration_seconds', (lastCycleAt - startedAt) / 1000);
+
+    if (!running) {
+        return;
+    }
+
+    const delay = nextDelay(result, lastCycleAt - startedAt);
+    nextCycleAt = Date.now() + delay;
+    timer = setTimeout(() => runScheduledCycle(runCycle), delay);
+}
+
+// Start polling. runCycle resolves to { status: 'ok' | 'error' | 'paused' | 'waiting', error }
+function startPollScheduler(runCycle) {
+    running = true;
+    logger.info(`⏱️  Scheduler: ${FAST_INTERVAL}ms during ${FAST_WINDOWS}, ${SLOW_INTERVAL}ms otherwise (${POLL_TIMEZONE})`);
+    runScheduledCycle(runCycle);
+}
+
+// Stop polling (a running cycle is allowed to finish)
+function stopPollScheduler() {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+}
+
+// Scheduler state for status reporting
+function getSchedulerState() {
+    return {
+        running: running,
+        consecutiveFailures: consecutiveFailures,
+        circuitOpen: Boolean(circuitOpenUntil && circuitOpenUntil > Date.now()),
+        lastCycleAt: lastCycleAt,
+        nextCycleAt: nextCycleAt,
+        interval: currentInterval()
+    };
+}
+
+module.exports = {
+    startPollScheduler,
+    stopPollScheduler,
+    getSchedulerState
+};
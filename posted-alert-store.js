@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./seen-job-store');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('posted-alerts');
+
+// Store location and retention
+const POSTED_ALERTS_FILE = process.env.POSTED_ALERTS_FILE || path.join(DATA_DIR, 'posted-alerts.json');
+const POSTED_ALERT_RETENTION_HOURS = parseFloat(process.env.POSTED_ALERT_RETENTION_HOURS || '48');
+
+// "chatId:messageId" -> { chatId, messageId, jobId, part, parts, postedAt, text, scheduleCount, pay, filled, updatedAt }
+// (part / parts: the message's place in a split alert)
+let alerts = new Map();
+
+// Key of a posted message
+function alertKey(chatId, messageId) {
+    return `${chatId}:${messageId}`;
+}
+
+// Load posted alerts from disk (missing file = none)
+function loadPostedAlertStore() {
+    alerts = new Map();
+
+    if (fs.existsSync(POSTED_ALERTS_FILE)) {
+        try {
+            const parsed = JSON.parse(fs.readFileSync(POSTED_ALERTS_FILE, 'utf8'));
+            (parsed.alerts || []).forEach(alert => alerts.set(alertKey(alert.chatId, alert.messageId), alert));
+        } catch (error) {
+            logger.error(`❌ Error reading posted alert store (starting empty):`, error.message);
+        }
+    }
+
+    logger.info(`📝 Posted alert store loaded: ${alerts.size} editable messages`);
+    return alerts.size;
+}
+
+// Write posted alerts to disk (atomically), dropping ones past the retention period
+function savePostedAlertStore(now = Date.now()) {
+    for (const [key, alert] of alerts) {
+        if (now - alert.postedAt >= POSTED_ALERT_RETENTION_HOURS * 60 * 60 * 1000) {
+            alerts.delete(key);
+        }
+    }
+
+    try {
+        fs.mkdirSync(path.dirname(POSTED_ALERTS_FILE), { recursive: true });
+        const tmpFile = `${POSTED_ALERTS_FILE}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ alerts: Array.from(alerts.values()) }));
+        fs.renameSync(tmpFile, POSTED_ALERTS_FILE);
+    } catch (error) {
+        logger.error(`❌ Error writing posted alert store:`, error.message);
+    }
+}
+
+// Remember a sent alert message
+function recordPostedAlert(alert) {
+    alerts.set(alertKey(alert.chatId, alert.messageId), { ...alert, postedAt: Date.now(), filled: false });
+    savePostedAlertStore();
+}
+
+// Update a posted alert (after its edit was sent)
+function updatePostedAlert(chatId, messageId, changes) {
+    const key = alertKey(chatId, messageId);
+    if (alerts.has(key)) {
+        alerts.set(key, { ...alerts.get(key), ...changes, updatedAt: Date.now() });
+        savePostedAlertStore();
+    }
+}
+
+// Forget a posted alert (e.g. the message was deleted)
+function removePostedAlert(chatId, messageId) {
+    if (alerts.delete(alertKey(chatId, messageId))) {
+        savePostedAlertStore();
+    }
+}
+
+// Posted alerts still within the retention period
+function getPostedAlerts() {
+    return Array.from(alerts.values());
+}
+
+module.exports = {
+    loadPostedAlertStore,
+    recordPostedAlert,
+    updatePostedAlert,
+    removePostedAlert,
+    getPostedAlerts
+};
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+// Local AppSync stand-in: replays recorded searchJobCardsByLocation / searchScheduleCards
+// fixtures (see RECORD_FIXTURES_DIR in appsync-client.js) and applies scripted events.
+//
+//   node replay/appsync-stub.js [--fixtures replay/fixtures/sample] [--script script.json] [--port 4010]
+//
+// Job searches replay the recorded frames in order (one frame per recorded first page, all of its
+// pages merged), separately for every distinct search request; the last frame repeats.
+// Script events fire on the Nth first-page job search ({ "request": N, ... }):
+//   { "type": "appear", "jobCard": {...}, "schedules": [...] }   listed from request N on
+//   { "type": "disappear", "jobId": "..." }                      unlisted from request N on
+//   { "type": "401" } / { "type": "429", "retryAfter": 1 }       request N (and nothing else) fails
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Stub defaults
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'sample');
+const DEFAULT_PORT = 4010;
+
+// Search request key without paging and today's date filters
+function searchKey(request) {
+    const { nextToken, dateFilters, ...rest } = request || {};
+    return JSON.stringify(rest);
+}
+
+// Load fixtures into job search frames (per search key) and the latest schedules per job
+function loadFixtures(fixturesDir) {
+    const frames = new Map();
+    const schedules = new Map();
+
+    const files = fs.existsSync(fixturesDir)
+        ? fs.readdirSync(fixturesDir).filter(file => file.endsWith('.json') && file !== 'script.json').sort()
+        : [];
+
+    files.forEach(file => {
+        const fixture = JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8'));
+        const data = fixture.response && fixture.response.data;
+
+        if (fixture.operation === 'searchJobCardsByLocation' && data && data.searchJobCardsByLocation) {
+            const request = fixture.variables.searchJobRequest;
+            const key = searchKey(request);
+            if (!frames.has(key)) {
+                frames.set(key, []);
+            }
+            const keyFrames = frames.get(key);
+            if (!request.nextToken || keyFrames.length === 0) {
+                keyFrames.push([]);
+            }
+            keyFrames[keyFrames.length - 1].push(...(data.searchJobCardsByLocation.jobCards || []));
+        } else if (fixture.operation === 'searchScheduleCards' && data && data.searchScheduleCards) {
+            const jobId = fixture.variables.searchScheduleRequest.jobId;
+            const request = fixture.variables.searchScheduleRequest;
+            const cards = request.nextToken && schedules.has(jobId) ? schedules.get(jobId) : [];
+            schedules.set(jobId, cards.concat(data.searchScheduleCards.scheduleCards || []));
+        }
+    });
+
+    return { frames, schedules, files: files.length };
+}
+
+// Read the event script (missing file = no events)
+function loadScript(scriptFile) {
+    if (!scriptFile || !fs.existsSync(scriptFile)) {
+        return [];
+    }
+    return (JSON.parse(fs.readFileSync(scriptFile, 'utf8')).events || [])
+        .slice()
+        .sort((a, b) => a.request - b.request);
+}
+
+// Start the stub. Resolves to { url, server, getStats(), getFiredEvents(), close() }
+// getFiredEvents(): the script events applied so far, each with firedAt (the search number)
+function startAppSyncStub(options = {}) {
+    const fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+    const { frames, schedules, files } = loadFixtures(fixturesDir);
+    const events = loadScript(options.scriptFile || path.join(fixturesDir, 'script.json'));
+    const fallbackKey = frames.keys().next().value;
+
+    const framePositions = new Map(); // search key -> frame index
+    const appeared = new Map(); // jobId -> { jobCard, schedules }
+    const disappeared = new Set();
+    const firedEvents = new Set();
+    const firedLog = [];
+    const stats = { searches: 0, scheduleRequests: 0, errors: 0, lastServedSearch: 0, scriptedEvents: events.length };
+    let currentCards = [];
+
+    // Apply the events due at this search and return a forced error status, if any
+    function applyEvents(requestNumber) {
+        let failure = null;
+        events.forEach((event, index) => {
+            if (event.request > requestNumber || firedEvents.has(index)) {
+                return;
+            }
+            if (event.type === 'appear') {
+                appeared.set(event.jobCard.jobId, { jobCard: event.jobCard, schedules: event.schedules || [] });
+                disappeared.delete(event.jobCard.jobId);
+            } else if (event.type === 'disappear') {
+                appeared.delete(event.jobId);
+                disappeared.add(event.jobId);
+            } else if (!failure && (event.type === '401' || event.type === '429')) {
+                failure = event;
+            } else {
+                return; // A second failure waits for the next request
+            }
+            firedEvents.add(index);
+            firedLog.push({ ...event, firedAt: requestNumber });
+        });
+        return failure;
+    }
+
+    // Job cards of the next frame for a first-page search
+    function nextFrame(request) {
+        const key = frames.has(searchKey(request)) ? searchKey(request) : fallbackKey;
+        const keyFrames = (key && frames.get(key)) || [[]];
+        const position = framePositions.has(key) ? Math.min(framePositions.get(key) + 1, keyFrames.length - 1) : 0;
+        framePositions.set(key, position);
+
+        return keyFrames[position]
+            .filter(card => !disappeared.has(card.jobId) && !appeared.has(card.jobId))
+            .concat(Array.from(appeared.values()).map(entry => entry.jobCard));
+    }
+
+    function handleSearch(request) {
+        const pageSize = request.pageSize || 50;
+        const offset = parseInt(request.nextToken, 10) || 0;
+
+        if (!request.nextToken) {
+            stats.searches++;
+            const failure = applyEvents(stats.searches);
+            if (failure) {
+                stats.errors++;
+                return failure.type === '401'
+                    ? { status: 401, body: { message: 'Unauthorized (scripted)' } }
+                    : { status: 429, body: { message: 'Too Many Requests (scripted)' }, retryAfter: failure.retryAfter || 1 };
+            }
+            currentCards = nextFrame(request);
+            stats.lastServedSearch = stats.searches;
+        }
+
+        const page = currentCards.slice(offset, offset + pageSize);
+        const nextToken = offset + pageSize < currentCards.length ? String(offset + pageSize) : null;
+        return { status: 200, body: { data: { searchJobCardsByLocation: { nextToken: nextToken, jobCards: page } } } };
+    }
+
+    function handleSchedules(request) {
+        stats.scheduleRequests++;
+        const jobId = request.jobId;
+        const cards = appeared.has(jobId) ? appeared.get(jobId).schedules : (schedules.get(jobId) || []);
+        return {
+            status: 200,
+            body: { data: { searchScheduleCards: { nextToken: null, scheduleCards: cards, __typename: 'ScheduleCardsResponse' } } }
+        };
+    }
+
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            let result;
+            try {
+                const payload = JSON.parse(body || '{}');
+                if (payload.operationName === 'searchJobCardsByLocation') {
+                    result = handleSearch(payload.variables.searchJobRequest || {});
+                } else if (payload.operationName === 'searchScheduleCards') {
+                    result = handleSchedules(payload.variables.searchScheduleRequest || {});
+                } else {
+                    result = { status: 200, body: { errors: [{ message: `Unknown operation ${payload.operationName}` }] } };
+                }
+            } catch (error) {
+                result = { status: 400, body: { errors: [{ message: error.message }] } };
+            }
+
+            const headers = { 'Content-Type': 'application/json' };
+            if (result.retryAfter) {
+                headers['Retry-After'] = String(result.retryAfter);
+            }
+            response.writeHead(result.status, headers);
+            response.end(JSON.stringify(result.body));
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(options.port === undefined ? DEFAULT_PORT : options.port, options.host || '127.0.0.1', () => {
+            const url = `http://127.0.0.1:${server.address().port}/graphql`;
+            console.log(`🧪 AppSync stub on ${url} (${files} fixture(s), ${frames.size} search(es), ${events.length} scripted event(s))`);
+            resolve({
+                url: url,
+                server: server,
+                getStats: () => ({ ...stats }),
+                getFiredEvents: () => firedLog.slice(),
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = name => (args.indexOf(`--${name}`) >= 0 ? args[args.indexOf(`--${name}`) + 1] : undefined);
+
+    startAppSyncStub({
+        fixturesDir: option('fixtures'),
+        scriptFile: option('script'),
+        port: option('port') ? parseInt(option('port'), 10) : DEFAULT_PORT
+    }).catch(error => {
+        console.error('❌ AppSync stub failed to start:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    startAppSyncStub
+};
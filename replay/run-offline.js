@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+// Offline end-to-end run: starts the AppSync and Telegram stubs, runs auto-token-monitor.js
+// against them with a throwaway data directory, and reports the alerts it sent.
+//
+//   node replay/run-offline.js [--fixtures dir] [--script file] [--seconds 20] [--out messages.json] [--expect 1] [--verify]
+//
+// Exits non-zero when fewer than --expect messages were captured, or (--verify) when a scripted
+// event didn't have its effect: every event fired, the monitor served searches again after each
+// 401/429, an appeared job was alerted and the alert of a disappeared job was edited.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { startAppSyncStub } = require('./appsync-stub');
+const { startTelegramStub } = require('./telegram-stub');
+
+// Run settings
+const SHUTDOWN_TIMEOUT = 10000; // 10 seconds for the monitor to exit after SIGINT
+
+// Run the monitor against the stubs until it has run for `seconds`
+function runMonitor(env, seconds) {
+    return new Promise(resolve => {
+        const monitor = spawn(process.execPath, [path.join(__dirname, '..', 'auto-token-monitor.js')], {
+            stdio: 'inherit',
+            env: env
+        });
+        let killTimer = null;
+
+        const stopTimer = setTimeout(() => {
+            monitor.kill('SIGINT');
+            killTimer = setTimeout(() => monitor.kill('SIGKILL'), SHUTDOWN_TIMEOUT);
+        }, seconds * 1000);
+
+        monitor.on('close', code => {
+            clearTimeout(stopTimer);
+            clearTimeout(killTimer);
+            resolve(code);
+        });
+    });
+}
+
+// Check the effects of the fired script events. Returns the failures (empty when all passed)
+function verifyRun(exitCode, stats, firedEvents, messages) {
+    const failures = [];
+    const sent = messages.filter(message => message.method === 'sendMessage');
+    const mentions = (message, jobId) => `${message.text}${JSON.stringify(message.replyMarkup || '')}`.includes(jobId);
+
+    if (exitCode !== 0) {
+        failures.push(`monitor exited with code ${exitCode}`);
+    }
+    if (firedEvents.length < stats.scriptedEvents) {
+        failures.push(`only ${firedEvents.length} of ${stats.scriptedEvents} scripted event(s) fired (run longer with --seconds)`);
+    }
+
+    firedEvents.forEach(event => {
+        if (event.type === '401' || event.type === '429') {
+            if (stats.lastServedSearch <= event.firedAt) {
+                failures.push(`no job search served after the scripted ${event.type} on search ${event.firedAt}`);
+            }
+        } else if (event.type === 'appear') {
+            if (!sent.some(message => mentions(message, event.jobCard.jobId))) {
+                failures.push(`no alert sent for appeared job ${event.jobCard.jobId}`);
+            }
+        } else if (event.type === 'disappear') {
+            const alerts = sent.filter(message => mentions(message, event.jobId));
+            const edited = alerts.some(alert => messages.some(message =>
+                message.method === 'editMessageText' && message.chatId === alert.chatId && message.messageId === alert.messageId));
+            if (!edited) {
+                failures.push(`alert of disappeared job ${event.jobId} was not edited`);
+            }
+        }
+    });
+
+    return failures;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const option = name => (args.indexOf(`--${name}`) >= 0 ? args[args.indexOf(`--${name}`) + 1] : undefined);
+    const seconds = parseFloat(option('seconds') || '20');
+    const expected = parseInt(option('expect') || '0', 10);
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'amazon-monitor-replay-'));
+
+    const appSync = await startAppSyncStub({ fixturesDir: option('fixtures'), scriptFile: option('script'), port: 0 });
+    const telegram = await startTelegramStub({ port: 0 });
+
+    console.log(`🎬 Running the monitor offline for ${seconds}s (data in ${dataDir})\n`);
+    const exitCode = await runMonitor({
+        ...process.env,
+        AMAZON_GRAPHQL_URL: appSync.url,
+        AMAZON_AUTH_TOKEN: 'offline-replay-token',
+        TELEGRAM_API_BASE: telegram.url,
+        TELEGRAM_BOT_TOKEN: '123456:offline-replay',
+        TELEGRAM_CHANNEL_ID: '@offline_replay',
+        DATA_DIR: dataDir,
+        ALERT_RULES_FILE: path.join(dataDir, 'alert-rules.json'),
+        NOTIFIERS_FILE: path.join(dataDir, 'notifiers.json'),
+        HEALTH_SERVER_ENABLED: 'false',
+        ALERT_PER_CHAT_INTERVAL_MS: process.env.ALERT_PER_CHAT_INTERVAL_MS || '200',
+        POLL_FAST_INTERVAL_MS: process.env.POLL_FAST_INTERVAL_MS || '1000',
+        REALERT_AFTER_GONE_MINUTES: process.env.REALERT_AFTER_GONE_MINUTES || '0.05'
+    }, seconds);
+
+    await appSync.close();
+    await telegram.close();
+
+    const stats = appSync.getStats();
+    console.log(`\n📊 Monitor exited with code ${exitCode}: ${stats.searches} job search(es), ${stats.scheduleRequests} schedule request(s), ${stats.errors} scripted error(s)`);
+    console.log(`📨 ${telegram.messages.length} Telegram message(s) captured:`);
+    telegram.messages.forEach(message => {
+        const firstLine = (message.text || '').split('\n').find(line => /\w/.test(line)) || '';
+        console.log(`   ${message.method} #${message.messageId} → ${message.chatId}: ${firstLine.replace(/<[^>]+>/g, '').slice(0, 80)}`);
+    });
+
+    if (option('out')) {
+        fs.writeFileSync(option('out'), JSON.stringify(telegram.messages, null, 2));
+        console.log(`✅ Messages written to ${option('out')}`);
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    if (telegram.messages.length < expected) {
+        console.error(`❌ Expected at least ${expected} message(s), captured ${telegram.messages.length}`);
+        process.exit(1);
+    }
+
+    if (args.includes('--verify')) {
+        const firedEvents = appSync.getFiredEvents();
+        const failures = verifyRun(exitCode, stats, firedEvents, telegram.messages);
+        if (failures.length > 0) {
+            failures.forEach(failure => console.error(`❌ ${failure}`));
+            process.exit(1);
+        }
+        console.log(`✅ All ${firedEvents.length} scripted event(s) had their effect`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Offline run failed:', error.message);
+    process.exit(1);
+});
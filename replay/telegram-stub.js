@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+// Local Telegram Bot API stand-in: accepts sendMessage / editMessageText and captures them
+// instead of posting, answers getUpdates with no updates, and serves the captures on GET /messages.
+//
+//   node replay/telegram-stub.js [--port 4011] [--out messages.jsonl]
+
+const fs = require('fs');
+const http = require('http');
+
+// Stub defaults
+const DEFAULT_PORT = 4011;
+const GET_UPDATES_DELAY = 1000; // hold getUpdates briefly so the bot's long poll doesn't spin
+
+// Start the stub. Resolves to { url, server, messages, close() }
+// messages: [{ at, method, chatId, messageId, text, parseMode, replyMarkup, disableNotification }]
+function startTelegramStub(options = {}) {
+    const messages = [];
+    const pending = new Set();
+    let nextMessageId = 1;
+
+    // Capture a sent or edited message and build the Bot API result
+    function captureMessage(method, payload) {
+        const messageId = method === 'editMessageText' ? payload.message_id : nextMessageId++;
+        const captured = {
+            at: new Date().toISOString(),
+            method: method,
+            chatId: payload.chat_id,
+            messageId: messageId,
+            text: payload.text,
+            parseMode: payload.parse_mode || null,
+            replyMarkup: payload.reply_markup || null,
+            disableNotification: Boolean(payload.disable_notification)
+        };
+
+        messages.push(captured);
+        if (options.outFile) {
+            fs.appendFileSync(options.outFile, JSON.stringify(captured) + '\n');
+        }
+        return { message_id: messageId, chat: { id: payload.chat_id }, date: Math.floor(Date.now() / 1000), text: payload.text };
+    }
+
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            const reply = (status, result) => {
+                response.writeHead(status, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify(result));
+            };
+
+            if (request.method === 'GET' && request.url === '/messages') {
+                reply(200, messages);
+                return;
+            }
+
+            const match = request.url.match(/^\/bot[^/]+\/(\w+)/);
+            if (!match) {
+                reply(404, { ok: false, error_code: 404, description: 'Not Found' });
+                return;
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(body || '{}');
+            } catch (error) {
+                reply(400, { ok: false, error_code: 400, description: `Bad Request: ${error.message}` });
+                return;
+            }
+
+            const method = match[1];
+            if (method === 'sendMessage' || method === 'editMessageText') {
+                if (!payload.chat_id || !payload.text) {
+                    reply(400, { ok: false, error_code: 400, description: 'Bad Request: chat_id and text are required' });
+                    return;
+                }
+                reply(200, { ok: true, result: captureMessage(method, payload) });
+            } else if (method === 'getUpdates') {
+                const timer = setTimeout(() => {
+                    pending.delete(timer);
+                    reply(200, { ok: true, result: [] });
+                }, Math.min(GET_UPDATES_DELAY, (payload.timeout || 0) * 1000));
+                pending.add(timer);
+            } else {
+                reply(200, { ok: true, result: true });
+            }
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(options.port === undefined ? DEFAULT_PORT : options.port, options.host || '127.0.0.1', () => {
+            const url = `http://127.0.0.1:${server.address().port}`;
+            console.log(`🧪 Telegram stub on ${url} (captured messages: ${url}/messages)`);
+            resolve({
+                url: url,
+                server: server,
+                messages: messages,
+                close: () => new Promise(done => {
+                    pending.forEach(timer => clearTimeout(timer));
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = name => (args.indexOf(`--${name}`) >= 0 ? args[args.indexOf(`--${name}`) + 1] : undefined);
+
+    startTelegramStub({
+        port: option('port') ? parseInt(option('port'), 10) : DEFAULT_PORT,
+        outFile: option('out')
+    }).catch(error => {
+        console.error('❌ Telegram stub failed to start:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    startTelegramStub
+};
@@ -0,0 +1,100 @@
+// Short-lived schedule cache keyed by jobId, plus concurrent fetching of cache misses
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('schedule-cache');
+
+// Cache and concurrency settings
+const SCHEDULE_CACHE_TTL_SECONDS = parseFloat(process.env.SCHEDULE_CACHE_TTL_SECONDS || '60');
+const SCHEDULE_FETCH_CONCURRENCY = parseInt(process.env.SCHEDULE_FETCH_CONCURRENCY, 10) || 4;
+
+// jobId -> { schedules, fetchedAt }
+let cache = new Map();
+
+// Cached schedules for a job (null when missing or older than the TTL)
+function getCachedSchedules(jobId, now = Date.now()) {
+    const entry = cache.get(jobId);
+    if (!entry) {
+        return null;
+    }
+    if (now - entry.fetchedAt >= SCHEDULE_CACHE_TTL_SECONDS * 1000) {
+        cache.delete(jobId);
+        return null;
+    }
+    return entry.schedules;
+}
+
+// Remember a job's schedules
+function cacheSchedules(jobId, schedules, now = Date.now()) {
+    cache.set(jobId, { schedules: schedules, fetchedAt: now });
+}
+
+// Drop a job's cached schedules (so the next lookup fetches them again)
+function invalidateSchedules(jobId) {
+    cache.delete(jobId);
+}
+
+// Remove expired entries
+function pruneScheduleCache(now = Date.now()) {
+    for (const [jobId, entry] of cache) {
+        if (now - entry.fetchedAt >= SCHEDULE_CACHE_TTL_SECONDS * 1000) {
+            cache.delete(jobId);
+        }
+    }
+}
+
+// Get schedules for several jobs, fetching cache misses with at most
+// SCHEDULE_FETCH_CONCURRENCY requests in flight.
+// fetcher(job) resolves to a schedule list, or null when the fetch failed (not cached).
+// Returns a Map of jobId -> schedules (null for failed fetches).
+async function getSchedulesForJobs(jobs, fetcher) {
+    const results = new Map();
+    const misses = [];
+
+    pruneScheduleCache();
+
+    jobs.forEach(job => {
+        const cached = getCachedSchedules(job.jobId);
+        if (cached) {
+            results.set(job.jobId, cached);
+        } else {
+            misses.push(job);
+        }
+    });
+
+    if (misses.length > 0) {
+        logger.info(`📅 Fetching schedules for ${misses.length} job(s), ${SCHEDULE_FETCH_CONCURRENCY} at a time (${jobs.length - misses.length} cached)`);
+    }
+
+    let nextIndex = 0;
+    async function worker() {
+        while (nextIndex < misses.length) {
+            const job = misses[nextIndex++];
+            let schedules = null;
+            try {
+                schedules = await fetcher(job);
+            } catch (error) {
+                logger.error(`❌ Error fetching schedules for job ${job.jobId}:`, error.message);
+            }
+            if (schedules) {
+                cacheSchedules(job.jobId, schedules);
+            }
+            results.set(job.jobId, schedules);
+        }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(SCHEDULE_FETCH_CONCURRENCY, misses.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return results;
+}
+
+module.exports = {
+    getCachedSchedules,
+    cacheSchedules,
+    invalidateSchedules,
+    getSchedulesForJobs
+};
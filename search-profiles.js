@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { getSite } = require('./sites');
+const { UNKNOWN_LOCATION_MODES, normalizeHomePoints } = require('./home-points');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('search-profiles');
+
+// Default profiles file (override with SEARCH_PROFILES_FILE)
+const DEFAULT_PROFILES_FILE = path.join(__dirname, 'search-profiles.json');
+
+// Built-in profile used when no profiles file exists (matches the original Canada query)
+const DEFAULT_PROFILE = {
+    name: 'canada',
+    locale: 'en-CA',
+    country: 'Canada',
+    keyWords: '',
+    equalFilters: [],
+    containFilters: [
+        {
+            key: 'isPrivateSchedule',
+            val: ['false']
+        }
+    ],
+    rangeFilters: [{
+        key: 'hoursPerWeek',
+        range: {
+            minimum: 0,
+            maximum: 50
+        }
+    }],
+    orFilters: [],
+    dateFilters: [{
+        key: 'firstDayOnSite',
+        range: { startDate: 'today' }
+    }],
+    sorters: [],
+    scheduleSorters: [
+        {
+            fieldName: 'totalPayRateMax',
+            ascending: 'false'
+        }
+    ]
+};
+
+// Today's date as YYYY-MM-DD, shifted by a number of days
+function dateFromToday(offsetDays = 0) {
+    const date = new Date();
+    date.setDate(date.getDate() + offsetDays);
+    return date.toISOString().split('T')[0];
+}
+
+// Resolve relative start dates ("today" or offsetDays) so they move forward every cycle
+function resolveDateFilters(dateFilters) {
+    return (dateFilters || []).map(filter => {
+        const range = { ...(filter.range || {}) };
+
+        if (!range.startDate || range.startDate === 'today') {
+            range.startDate = dateFromToday(filter.offsetDays || 0);
+        }
+
+        return { key: filter.key, range: range };
+    });
+}
+
+// Fill in missing profile fields from the defaults (locale and country default to the profile's site)
+function normalizeProfile(profile, index) {
+    if (!profile.name) {
+        throw new Error(`Search profile #${index + 1} is missing a name`);
+    }
+
+    const site = getSite(profile.site);
+    const country = profile.country || site.country;
+    const unknownLocation = profile.unknownLocation || 'drop';
+    if (!UNKNOWN_LOCATION_MODES.includes(unknownLocation)) {
+        throw new Error(`Search profile "${profile.name}" has unknown unknownLocation "${unknownLocation}" (use ${UNKNOWN_LOCATION_MODES.join(', ')})`);
+    }
+    return {
+        name: profile.name,
+        site: site.name,
+        locale: profile.locale || site.locale,
+        country: country,
+        homePoints: normalizeHomePoints(profile.homePoints, profile.name, country),
+        unknownLocation: unknownLocation,
+        keyWords: profile.keyWords || '',
+        equalFilters: profile.equalFilters || [],
+        containFilters: profile.containFilters || [],
+        rangeFilters: profile.rangeFilters || [],
+        orFilters: profile.orFilters || [],
+        dateFilters: profile.dateFilters || [],
+        sorters: profile.sorters || [],
+        scheduleRangeFilters: profile.scheduleRangeFilters || [],
+        scheduleSorters: profile.scheduleSorters || DEFAULT_PROFILE.scheduleSorters
+    };
+}
+
+// Load search profiles from the profiles file
+function loadSearchProfiles(filePath = process.env.SEARCH_PROFILES_FILE || DEFAULT_PROFILES_FILE) {
+    if (!fs.existsSync(filePath)) {
+        logger.warn(`⚠️  No search profiles file at ${filePath}, using built-in "${DEFAULT_PROFILE.name}" profile`);
+        return [normalizeProfile(DEFAULT_PROFILE, 0)];
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const profiles = (Array.isArray(parsed) ? parsed : parsed.profiles || [])
+        .filter(profile => profile.enabled !== false)
+        .map(normalizeProfile);
+
+    if (profiles.length === 0) {
+        throw new Error(`No enabled search profiles found in ${filePath}`);
+    }
+
+    const names = new Set();
+    profiles.forEach(profile => {
+        if (names.has(profile.name)) {
+            throw new Error(`Duplicate search profile name: ${profile.name}`);
+        }
+        names.add(profile.name);
+    });
+
+    logger.info(`🗂️  Loaded ${profiles.length} search profile(s) from ${filePath}`);
+    return profiles;
+}
+
+// Build the searchJobCardsByLocation request for a profile (nextToken requests a later page,
+// geoQueryClause limits the search to a home point's radius)
+function buildJobSearchRequest(profile, pageSize = 50, nextToken = null, geoQueryClause = null) {
+    const request = {
+        locale: profile.locale,
+        country: profile.country,
+        keyWords: profile.keyWords,
+        equalFilters: profile.equalFilters,
+        containFilters: profile.containFilters,
+        rangeFilters: profile.rangeFilters,
+        orFilters: profile.orFilters,
+        dateFilters: resolveDateFilters(profile.dateFilters),
+        sorters: profile.sorters,
+        pageSize: pageSize,
+        consolidateSchedule: true
+    };
+
+    if (geoQueryClause) {
+        request.geoQueryClause = geoQueryClause;
+    }
+    if (nextToken) {
+        request.nextToken = nextToken;
+    }
+
+    return request;
+}
+
+// Build the searchScheduleCards request for a profile and job (nextToken requests a later page).
+// The job search rangeFilters are not applied to schedules; scheduleRangeFilters opts in.
+function buildScheduleSearchRequest(profile, jobId, pageSize = 1000, nextToken = null) {
+    const request = {
+        locale: profile.locale,
+        country: profile.country,
+        keyWords: profile.keyWords,
+        equalFilters: profile.equalFilters,
+        containFilters: profile.containFilters,
+        rangeFilters: profile.scheduleRangeFilters,
+        orFilters: profile.orFilters,
+        dateFilters: resolveDateFilters(profile.dateFilters),
+        sorters: profile.scheduleSorters,
+        pageSize: pageSize,
+        jobId: jobId
+    };
+
+    if (nextToken) {
+        request.nextToken = nextToken;
+    }
+
+    return request;
+}
+
+// Link to a job's detail (apply) page on the job's site, optionally preselecting a schedule
+// (locale is the page language; default: the site's)
+function buildJobDetailUrl(job, scheduleId = null, locale = null) {
+    const site = getSite(job.site);
+    let url = `${site.baseUrl}/app#/jobDetail?jobId=${job.jobId}&locale=${locale || site.locale}`;
+    if (scheduleId) {
+        url += `&scheduleId=${scheduleId}`;
+    }
+    return url;
+}
+
+module.exports = {
+    loadSearchProfiles,
+    buildJobSearchRequest,
+    buildScheduleSearchRequest,
+    buildJobDetailUrl
+};
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('seen-jobs');
+
+// Store location and re-alert policy
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const SEEN_JOBS_FILE = process.env.SEEN_JOBS_FILE || path.join(DATA_DIR, 'seen-jobs.json');
+const REALERT_AFTER_GONE_MINUTES = parseFloat(process.env.REALERT_AFTER_GONE_MINUTES || '10');
+const SEEN_JOB_RETENTION_DAYS = parseFloat(process.env.SEEN_JOB_RETENTION_DAYS || '7');
+const SCHEDULE_RECHECK_SECONDS = parseFloat(process.env.SCHEDULE_RECHECK_SECONDS || '600');
+const FLUSH_INTERVAL = 30 * 1000; // lastSeen-only changes are written at most every 30 seconds
+
+// jobId -> { jobId, firstSeen, lastSeen, goneSince, goneReported, lastAlerted, scheduleIds, scheduleCount, schedulesCheckedAt }
+let records = new Map();
+let dirty = false;
+let urgent = false;
+let lastFlush = 0;
+
+// Load the store from disk (missing file = empty store)
+function loadSeenJobStore() {
+    records = new Map();
+
+    if (fs.existsSync(SEEN_JOBS_FILE)) {
+        try {
+            const parsed = JSON.parse(fs.readFileSync(SEEN_JOBS_FILE, 'utf8'));
+            (parsed.jobs || []).forEach(record => records.set(record.jobId, record));
+        } catch (error) {
+            logger.error(`❌ Error reading seen-job store (starting empty):`, error.message);
+        }
+    }
+
+    lastFlush = Date.now();
+    logger.info(`💾 Seen-job store loaded: ${records.size} jobs from ${SEEN_JOBS_FILE}`);
+    logger.info(`🔁 Re-alert policy: after ${REALERT_AFTER_GONE_MINUTES} minutes gone`);
+    return records.size;
+}
+
+// Record this cycle's jobs and return the ones that should be alerted
+// (never seen before, or back after being gone for REALERT_AFTER_GONE_MINUTES)
+function recordSightings(jobs, now = Date.now()) {
+    const toAlert = [];
+
+    jobs.forEach(job => {
+        const record = records.get(job.jobId);
+
+        if (!record) {
+            records.set(job.jobId, {
+                jobId: job.jobId,
+                firstSeen: now,
+                lastSeen: now,
+                goneSince: null,
+                goneReported: false,
+                lastAlerted: now,
+                scheduleIds: null,
+                scheduleCount: null,
+                schedulesCheckedAt: 0
+            });
+            toAlert.push(job);
+            urgent = true;
+            return;
+        }
+
+        if (record.goneSince) {
+            const goneMinutes = (now - record.goneSince) / 60000;
+            if (goneMinutes >= REALERT_AFTER_GONE_MINUTES) {
+                logger.info(`🔁 Job ${job.jobId} is back after ${goneMinutes.toFixed(1)} minutes`);
+                record.lastAlerted = now;
+                toAlert.push(job);
+            }
+            record.goneSince = null;
+            record.goneReported = false;
+            urgent = true;
+        }
+
+        record.lastSeen = now;
+    });
+
+    dirty = true;
+    return toAlert;
+}
+
+// Whether a listed job's schedules should be fetched this cycle
+// (never checked, scheduleCount changed, or last check older than SCHEDULE_RECHECK_SECONDS)
+function needsScheduleCheck(job, now = Date.now()) {
+    const record = records.get(job.jobId);
+
+    if (!record) {
+        return false;
+    }
+
+    return !record.scheduleIds ||
+        scheduleCountChanged(job) ||
+        now - (record.schedulesCheckedAt || 0) >= SCHEDULE_RECHECK_SECONDS * 1000;
+}
+
+// Whether a listed job's scheduleCount differs from the one at its last schedule check
+function scheduleCountChanged(job) {
+    const record = records.get(job.jobId);
+    return Boolean(record && record.scheduleIds && record.scheduleCount !== (job.scheduleCount || 0));
+}
+
+// Store a job's current schedules and return what changed since the last check.
+// The first check of a job only sets the baseline.
+function updateJobSchedules(job, schedules, now = Date.now()) {
+    const record = records.get(job.jobId);
+    const currentIds = schedules.map(schedule => schedule.scheduleId);
+    const result = { baseline: false, opened: [], vanished: false };
+
+    if (!record) {
+        return result;
+    }
+
+    if (!record.scheduleIds) {
+        result.baseline = true;
+    } else {
+        const previousIds = new Set(record.scheduleIds);
+        result.opened = schedules.filter(schedule => !previousIds.has(schedule.scheduleId));
+        result.vanished = previousIds.size > 0 && currentIds.length === 0;
+    }
+
+    if (result.baseline || result.opened.length > 0 || result.vanished ||
+        currentIds.length !== record.scheduleIds.length) {
+        urgent = true;
+    }
+
+    record.scheduleIds = currentIds;
+    record.scheduleCount = job.scheduleCount || 0;
+    record.schedulesCheckedAt = now;
+    dirty = true;
+
+    return result;
+}
+
+// Mark jobs that were not listed this cycle as gone, and drop long-gone jobs.
+// Returns the jobs that have just been gone for REALERT_AFTER_GONE_MINUTES, once each, as
+// [{ jobId, hadSchedules }]. Their last known schedules are kept, so a job that returns sooner
+// is only alerted for shifts it didn't have before.
+function markMissingJobs(currentJobIds, now = Date.now()) {
+    const retentionMs = SEEN_JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const left = [];
+
+    records.forEach((record, jobId) => {
+        if (currentJobIds.has(jobId)) {
+            return;
+        }
+
+        if (!record.goneSince) {
+            record.goneSince = now;
+            urgent = true;
+        } else if (now - record.lastSeen > retentionMs) {
+            records.delete(jobId);
+            urgent = true;
+            return;
+        }
+
+        if (!record.goneReported && now - record.goneSince >= REALERT_AFTER_GONE_MINUTES * 60000) {
+            record.goneReported = true;
+            left.push({ jobId: jobId, hadSchedules: Boolean(record.scheduleIds && record.scheduleIds.length > 0) });
+            urgent = true;
+        }
+    });
+
+    return left;
+}
+
+// Write the store to disk (atomically) if it changed
+function flushSeenJobStore(force = false) {
+    if (!dirty && !urgent && !force) {
+        return;
+    }
+    if (!urgent && !force && Date.now() - lastFlush < FLUSH_INTERVAL) {
+        return;
+    }
+
+    try {
+        fs.mkdirSync(path.dirname(SEEN_JOBS_FILE), { recursive: true });
+        const tmpFile = `${SEEN_JOBS_FILE}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ jobs: Array.from(records.values()) }));
+        fs.renameSync(tmpFile, SEEN_JOBS_FILE);
+
+        dirty = false;
+        urgent = false;
+        lastFlush = Date.now();
+    } catch (error) {
+        logger.error(`❌ Error writing seen-job store:`, error.message);
+    }
+}
+
+// Number of jobs currently tracked
+function getSeenJobCount() {
+    return records.size;
+}
+
+module.exports = {
+    DATA_DIR,
+    loadSeenJobStore,
+    recordSightings,
+    markMissingJobs,
+    needsScheduleCheck,
+    scheduleCountChanged,
+    updateJobSchedules,
+    flushSeenJobStore,
+    getSeenJobCount
+};
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { AMAZON_GRAPHQL_URL } = require('./appsync-client');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('sites');
+
+// Default sites file (override with SITES_FILE)
+const DEFAULT_SITES_FILE = path.join(__dirname, 'sites.json');
+
+// Known hiring sites; sites.json entries with these names only need the fields they change
+const BUILT_IN_SITES = {
+    ca: {
+        name: 'ca',
+        baseUrl: 'https://hiring.amazon.ca',
+        locale: 'en-CA',
+        country: 'Canada'
+    },
+    us: {
+        name: 'us',
+        baseUrl: 'https://hiring.amazon.com',
+        locale: 'en-US',
+        country: 'United States'
+    }
+};
+
+// Used when there is no sites file (the original hiring.amazon.ca setup)
+const DEFAULT_SITE_NAMES = ['ca'];
+
+// Loaded sites (set by loadSites; the built-in defaults until then) and the names of disabled ones
+let sites = [];
+let disabledSiteNames = new Set();
+
+// Fill in missing site fields from the built-in site of the same name
+function normalizeSite(site, index) {
+    if (!site.name) {
+        throw new Error(`Site #${index + 1} is missing a name`);
+    }
+
+    const merged = { ...(BUILT_IN_SITES[site.name] || {}), ...site };
+    if (!merged.baseUrl || !merged.locale || !merged.country) {
+        throw new Error(`Site "${site.name}" needs baseUrl, locale and country`);
+    }
+
+    const baseUrl = merged.baseUrl.replace(/\/+$/, '');
+    return {
+        name: merged.name,
+        baseUrl: baseUrl,
+        websiteUrl: merged.websiteUrl || `${baseUrl}/app#/jobSearch`,
+        graphqlUrl: merged.graphqlUrl || AMAZON_GRAPHQL_URL,
+        locale: merged.locale,
+        country: merged.country,
+        headers: merged.headers || {},
+        geoSearch: merged.geoSearch !== false,
+        tokenRefreshMarginMinutes: merged.tokenRefreshMarginMinutes || null,
+        tokenMaxAgeMinutes: merged.tokenMaxAgeMinutes || null
+    };
+}
+
+// Load sites from the sites file
+function loadSites(filePath = process.env.SITES_FILE || DEFAULT_SITES_FILE) {
+    disabledSiteNames = new Set();
+    if (!fs.existsSync(filePath)) {
+        sites = DEFAULT_SITE_NAMES.map(name => normalizeSite(BUILT_IN_SITES[name], 0));
+        logger.info(`🌍 No sites file at ${filePath}, using ${sites.map(site => site.baseUrl).join(', ')}`);
+        return sites;
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const entries = Array.isArray(parsed) ? parsed : parsed.sites || [];
+    const loaded = entries
+        .filter(site => site.enabled !== false)
+        .map(normalizeSite);
+    disabledSiteNames = new Set(entries.filter(site => site.enabled === false).map(site => site.name));
+
+    if (loaded.length === 0) {
+        throw new Error(`No enabled sites found in ${filePath}`);
+    }
+
+    const names = new Set();
+    loaded.forEach(site => {
+        if (names.has(site.name)) {
+            throw new Error(`Duplicate site name: ${site.name}`);
+        }
+        names.add(site.name);
+    });
+
+    sites = loaded;
+    logger.info(`🌍 Loaded ${sites.length} site(s) from ${filePath}: ${sites.map(site => `${site.name} (${site.baseUrl})`).join(', ')}`);
+    return sites;
+}
+
+// An enabled site by name (the first loaded site when name is empty). Only the loaded sites count:
+// a built-in site that sites.json disables or leaves out is an error like any unknown name.
+function getSite(name = null) {
+    const loaded = sites.length > 0 ? sites : DEFAULT_SITE_NAMES.map(siteName => normalizeSite(BUILT_IN_SITES[siteName], 0));
+    if (!name) {
+        return loaded[0];
+    }
+
+    const site = loaded.find(candidate => candidate.name === name);
+    if (!site) {
+        const configured = loaded.map(candidate => candidate.name).join(', ');
+        throw new Error(disabledSiteNames.has(name)
+            ? `Site "${name}" is disabled in the sites file (enabled: ${configured})`
+            : `Unknown site "${name}" (configured: ${configured})`);
+    }
+    return site;
+}
+
+module.exports = {
+    loadSites,
+    getSite
+};
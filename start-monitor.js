@@ -5,14 +5,16 @@ require('dotenv').config();
 
 const { spawn } = require('child_process');
 const path = require('path');
+const { hasAlertRulesFile } = require('./alert-rules');
+const { maskChatId } = require('./logger');
 
 console.log('🚀 Amazon Job Monitor - Modular System');
 console.log('=====================================\n');
 
-// Check if environment variables are set
-if (!process.env.TELEGRAM_BOT_TOKEN || !process.env.TELEGRAM_CHANNEL_ID) {
+// Check if environment variables are set (TELEGRAM_CHANNEL_ID is optional with an alert rules file)
+if (!process.env.TELEGRAM_BOT_TOKEN || (!process.env.TELEGRAM_CHANNEL_ID && !hasAlertRulesFile())) {
     console.error('❌ Missing required environment variables!');
-    console.error('Please set TELEGRAM_BOT_TOKEN and TELEGRAM_CHANNEL_ID');
+    console.error('Please set TELEGRAM_BOT_TOKEN and TELEGRAM_CHANNEL_ID (or create alert-rules.json)');
     console.error('\nExample:');
     console.error('  set TELEGRAM_BOT_TOKEN=your_bot_token');
     console.error('  set TELEGRAM_CHANNEL_ID=@your_channel');
@@ -22,8 +24,8 @@ if (!process.env.TELEGRAM_BOT_TOKEN || !process.env.TELEGRAM_CHANNEL_ID) {
 }
 
 console.log('✅ Environment variables found');
-console.log(`📱 Channel: ${process.env.TELEGRAM_CHANNEL_ID}`);
-console.log(`🔑 Token: ${process.env.TELEGRAM_BOT_TOKEN.substring(0, 20)}...`);
+console.log(`📱 Channel: ${process.env.TELEGRAM_CHANNEL_ID ? maskChatId(process.env.TELEGRAM_CHANNEL_ID) : 'from alert-rules.json'}`);
+console.log('🔑 Token: set (hidden)');
 console.log('\n🎯 Starting Amazon Job Monitor...\n');
 
 // Start the main monitor
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./seen-job-store');
+const { createLogger, addSecret } = require('./logger');
+
+const logger = createLogger('subscribers');
+
+// Store location
+const SUBSCRIBERS_FILE = process.env.SUBSCRIBERS_FILE || path.join(DATA_DIR, 'subscribers.json');
+
+// chatId -> { chatId, userId, username, subscribed, filters, updatedAt }
+let subscribers = new Map();
+// Last processed Telegram update_id, so updates aren't handled twice after a restart
+let updateOffset = 0;
+
+// Load subscribers from disk (missing file = no subscribers)
+function loadSubscriberStore() {
+    subscribers = new Map();
+    updateOffset = 0;
+
+    if (fs.existsSync(SUBSCRIBERS_FILE)) {
+        try {
+            const parsed = JSON.parse(fs.readFileSync(SUBSCRIBERS_FILE, 'utf8'));
+            (parsed.subscribers || []).forEach(subscriber => {
+                subscribers.set(String(subscriber.chatId), subscriber);
+                addSecret(subscriber.chatId, 'chat');
+            });
+            updateOffset = parsed.updateOffset || 0;
+        } catch (error) {
+            logger.error(`❌ Error reading subscriber store (starting empty):`, error.message);
+        }
+    }
+
+    logger.info(`👥 Subscriber store loaded: ${getActiveSubscribers().length} active subscribers`);
+    return subscribers.size;
+}
+
+// Write subscribers to disk (atomically)
+function saveSubscriberStore() {
+    try {
+        fs.mkdirSync(path.dirname(SUBSCRIBERS_FILE), { recursive: true });
+        const tmpFile = `${SUBSCRIBERS_FILE}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({
+            updateOffset: updateOffset,
+            subscribers: Array.from(subscribers.values())
+        }, null, 2));
+        fs.renameSync(tmpFile, SUBSCRIBERS_FILE);
+    } catch (error) {
+        logger.error(`❌ Error writing subscriber store:`, error.message);
+    }
+}
+
+// Get a subscriber's settings (null if unknown)
+function getSubscriber(chatId) {
+    return subscribers.get(String(chatId)) || null;
+}
+
+// Create or update a subscriber's settings and persist them
+function updateSubscriber(chatId, changes) {
+    const existing = getSubscriber(chatId) || { chatId: String(chatId), subscribed: false, filters: {} };
+    const updated = { ...existing, ...changes, updatedAt: Date.now() };
+    addSecret(chatId, 'chat');
+    subscribers.set(String(chatId), updated);
+    saveSubscriberStore();
+    return updated;
+}
+
+// Subscribers currently receiving alerts
+function getActiveSubscribers() {
+    return Array.from(subscribers.values()).filter(subscriber => subscriber.subscribed);
+}
+
+// Telegram getUpdates offset
+function getUpdateOffset() {
+    return updateOffset;
+}
+
+// Remember the last processed update
+function setUpdateOffset(offset) {
+    if (offset !== updateOffset) {
+        updateOffset = offset;
+        saveSubscriberStore();
+    }
+}
+
+module.exports = {
+    loadSubscriberStore,
+    getSubscriber,
+    updateSubscriber,
+    getActiveSubscribers,
+    getUpdateOffset,
+    setUpdateOffset
+};
@@ -0,0 +1,280 @@
+const fetch = require('node-fetch');
+const {
+    loadSubscriberStore,
+    getSubscriber,
+    updateSubscriber,
+    getActiveSubscribers,
+    getUpdateOffset,
+    setUpdateOffset
+} = require('./subscriber-store');
+const { TELEGRAM_API_BASE } = require('./notifiers/telegram');
+const { createLogger, addSecret, maskChatId } = require('./logger');
+
+const logger = createLogger('bot');
+
+// Long-polling settings
+const LONG_POLL_TIMEOUT = 30; // seconds Telegram holds getUpdates open
+const ERROR_RETRY_DELAY = 5000; // 5 seconds
+
+// Bot settings (set by startBotCommands)
+let botToken = null;
+let adminUserIds = new Set();
+let hooks = {};
+let running = false;
+
+// Call a Telegram Bot API method
+async function callTelegram(method, payload, timeout = 10000) {
+    const response = await fetch(`${TELEGRAM_API_BASE}/bot${botToken}/${method}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload),
+        timeout: timeout
+    });
+
+    const result = await response.json();
+    if (!result.ok) {
+        throw new Error(`Telegram ${method} failed: ${result.description || response.status}`);
+    }
+    return result.result;
+}
+
+// Reply to a chat
+async function reply(chatId, text) {
+    try {
+        await callTelegram('sendMessage', { chat_id: chatId, text: text });
+    } catch (error) {
+        logger.error(`❌ Error replying to chat ${maskChatId(chatId)}:`, error.message);
+    }
+}
+
+// Describe a subscriber's filters
+function describeFilters(filters) {
+    const parts = [];
+    if (filters.cities && filters.cities.length > 0) {
+        parts.push(`city=${filters.cities.join(',')}`);
+    }
+    if (filters.minPay !== undefined) {
+        parts.push(`minpay=${filters.minPay}`);
+    }
+    return parts.length > 0 ? parts.join(' ') : 'none (all jobs)';
+}
+
+// Parse "/filter city=Toronto,Brampton minpay=18" arguments into alert-rules filters
+function parseFilterArgs(args) {
+    const filters = {};
+
+    for (const arg of args) {
+        const [key, value] = arg.split('=');
+        if (!value) {
+            throw new Error(`Expected key=value, got "${arg}"`);
+        }
+
+        switch (key.toLowerCase()) {
+            case 'city':
+                filters.cities = value.split(',').map(city => city.trim()).filter(Boolean);
+                break;
+            case 'minpay': {
+                const minPay = parseFloat(value);
+                if (isNaN(minPay)) {
+                    throw new Error(`minpay must be a number, got "${value}"`);
+                }
+                filters.minPay = minPay;
+                break;
+            }
+            default:
+                throw new Error(`Unknown filter "${key}" (use city= or minpay=)`);
+        }
+    }
+
+    return filters;
+}
+
+// Format milliseconds as a short age ("42s", "5m", "2h")
+function formatAge(ms) {
+    if (ms === null || ms === undefined) {
+        return 'n/a';
+    }
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) {
+        return `${seconds}s`;
+    }
+    if (seconds < 3600) {
+        return `${Math.round(seconds / 60)}m`;
+    }
+    return `${(seconds / 3600).toFixed(1)}h`;
+}
+
+// Handle one bot command
+async function handleCommand(message) {
+    const chatId = message.chat.id;
+    const userId = message.from ? message.from.id : null;
+    const isPrivate = message.chat.type === 'private';
+    const [rawCommand, ...args] = message.text.trim().split(/\s+/);
+    const command = rawCommand.split('@')[0].toLowerCase();
+
+    logger.info(`💬 Bot command ${command} from user ${maskChatId(userId)} in chat ${maskChatId(chatId)}`);
+
+    switch (command) {
+        case '/start':
+        case '/help':
+            await reply(chatId, [
+                'Amazon Job Monitor bot',
+                '/subscribe - Get job alerts in this chat',
+                '/unsubscribe - Stop job alerts',
+                '/filter city=Toronto,Brampton minpay=18 - Only alert on matching jobs',
+                '/filter clear - Remove your filters',
+                '/status - Monitor status'
+            ].join('\n'));
+            break;
+
+        case '/subscribe':
+            if (!isPrivate) {
+                await reply(chatId, '⚠️ /subscribe only works in a private chat with the bot.');
+                break;
+            }
+            updateSubscriber(chatId, {
+                userId: userId,
+                username: message.from && message.from.username,
+                subscribed: true
+            });
+            await reply(chatId, `✅ Subscribed. Filters: ${describeFilters(getSubscriber(chatId).filters)}`);
+            break;
+
+        case '/unsubscribe':
+            if (!isPrivate) {
+                await reply(chatId, '⚠️ /unsubscribe only works in a private chat with the bot.');
+                break;
+            }
+            updateSubscriber(chatId, { subscribed: false });
+            await reply(chatId, '👋 Unsubscribed. Send /subscribe to start again.');
+            break;
+
+        case '/filter': {
+            if (!isPrivate) {
+                await reply(chatId, '⚠️ /filter only works in a private chat with the bot.');
+                break;
+            }
+            if (args.length === 0) {
+                const subscriber = getSubscriber(chatId);
+                await reply(chatId, `Filters: ${describeFilters(subscriber ? subscriber.filters : {})}`);
+                break;
+            }
+            if (args[0].toLowerCase() === 'clear') {
+                updateSubscriber(chatId, { filters: {} });
+                await reply(chatId, '✅ Filters cleared.');
+                break;
+            }
+            try {
+                const filters = parseFilterArgs(args);
+                updateSubscriber(chatId, { filters: filters });
+                await reply(chatId, `✅ Filters set: ${describeFilters(filters)}`);
+            } catch (error) {
+                await reply(chatId, `⚠️ ${error.message}`);
+            }
+            break;
+        }
+
+        case '/status': {
+            const status = hooks.getStatus ? hooks.getStatus() : {};
+            await reply(chatId, [
+                `Monitor: ${status.paused ? '⏸️ paused' : status.scheduler && status.scheduler.circuitOpen ? '🔌 circuit open' : '▶️ running'}`,
+                `Polling: every ${status.scheduler ? formatAge(status.scheduler.interval) : 'n/a'}${status.scheduler && status.scheduler.consecutiveFailures ? ` (${status.scheduler.consecutiveFailures} failures)` : ''}`,
+                `Last poll: ${status.lastPollAt ? `${new Date(status.lastPollAt).toISOString()} (${formatAge(Date.now() - status.lastPollAt)} ago)` : 'never'}`,
+                ...(status.tokens || []).map(token => `Token ${token.site}: ${token.age === null ? 'none' : `${formatAge(token.age)} old (expires in ${formatAge(token.expiresIn)}, ${token.strategy})`}${token.refreshing ? ', refreshing' : ''}`),
+                `Jobs seen: ${status.seenJobCount || 0}`,
+                `Alert queue: ${status.alertQueue ? `${status.alertQueue.pending} pending, ${status.alertQueue.deadLetters} dead` : 'n/a'}`,
+                `Subscribers: ${getActiveSubscribers().length}`
+            ].join('\n'));
+            break;
+        }
+
+        case '/pause':
+        case '/resume':
+            if (!adminUserIds.has(String(userId))) {
+                await reply(chatId, '⛔ Only admins can use this command.');
+                break;
+            }
+            if (command === '/pause') {
+                hooks.onPause && hooks.onPause();
+                await reply(chatId, '⏸️ Monitor paused.');
+            } else {
+                hooks.onResume && hooks.onResume();
+                await reply(chatId, '▶️ Monitor resumed.');
+            }
+            break;
+
+        default:
+            if (isPrivate) {
+                await reply(chatId, 'Unknown command. Send /help for the list of commands.');
+            }
+    }
+}
+
+// Long-poll getUpdates and handle commands until stopped
+async function pollBotUpdates() {
+    while (running) {
+        try {
+            const updates = await callTelegram('getUpdates', {
+                offset: getUpdateOffset(),
+                timeout: LONG_POLL_TIMEOUT,
+                allowed_updates: ['message']
+            }, (LONG_POLL_TIMEOUT + 10) * 1000);
+
+            for (const update of updates) {
+                const message = update.message;
+                if (message && message.text && message.text.startsWith('/')) {
+                    try {
+                        await handleCommand(message);
+                    } catch (error) {
+                        logger.error(`❌ Error handling bot command:`, error.message);
+                    }
+                }
+                setUpdateOffset(update.update_id + 1);
+            }
+        } catch (error) {
+            logger.error(`❌ Error polling bot updates:`, error.message);
+            await new Promise(resolve => setTimeout(resolve, ERROR_RETRY_DELAY));
+        }
+    }
+}
+
+// Start the bot command loop
+// options: { botToken, adminUserIds, getStatus, onPause, onResume }
+function startBotCommands(options) {
+    botToken = options.botToken;
+    addSecret(botToken);
+    adminUserIds = new Set((options.adminUserIds || []).map(String));
+    hooks = {
+        getStatus: options.getStatus,
+        onPause: options.onPause,
+        onResume: options.onResume
+    };
+
+    loadSubscriberStore();
+
+    running = true;
+    logger.info(`🤖 Bot commands enabled (${adminUserIds.size} admin(s))`);
+    pollBotUpdates();
+}
+
+// Stop the bot command loop (after the current long poll returns)
+function stopBotCommands() {
+    running = false;
+}
+
+// Subscribers as alert destinations (same filter format as alert-rules.json)
+function getSubscriberDestinations() {
+    return getActiveSubscribers().map(subscriber => ({
+        name: `subscriber:${subscriber.username || subscriber.chatId}`,
+        chatId: String(subscriber.chatId),
+        filters: subscriber.filters || {}
+    }));
+}
+
+module.exports = {
+    startBotCommands,
+    stopBotCommands,
+    getSubscriberDestinations
+};
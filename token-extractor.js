@@ -1,88 +1,295 @@
+const fs = require('fs');
 const puppeteer = require('puppeteer');
+const { AuthError, GraphQLError, sendGraphQL } = require('./appsync-client');
+const { loadSites, getSite } = require('./sites');
+const { incCounter } = require('./metrics');
+const { createLogger } = require('./logger');
 
-// Hardcoded endpoints
-const AMAZON_WEBSITE_URL = 'https://hiring.amazon.ca/app#/jobSearch';
-const AMAZON_GRAPHQL_URL = 'https://e5mquma77feepi2bdn4d6h3mpu.appsync-api.us-east-1.amazonaws.com/graphql';
+const logger = createLogger('token');
+
+// Fixed token that skips browser extraction (for offline replay against replay/appsync-stub.js)
+const STATIC_AUTH_TOKEN = process.env.AMAZON_AUTH_TOKEN || null;
+
+// Extraction timeouts
+const NAVIGATION_TIMEOUT = parseInt(process.env.TOKEN_NAVIGATION_TIMEOUT_MS, 10) || 30000; // 30 seconds
+const NETWORK_CAPTURE_TIMEOUT = parseInt(process.env.TOKEN_CAPTURE_TIMEOUT_MS, 10) || 20000; // 20 seconds
+
+// Browser session limits
+const BROWSER_MAX_USES = parseInt(process.env.BROWSER_MAX_USES, 10) || 20;
+const BROWSER_MAX_MEMORY_MB = parseInt(process.env.BROWSER_MAX_MEMORY_MB, 10) || 300;
+const BROWSER_IDLE_TIMEOUT = parseInt(process.env.BROWSER_IDLE_TIMEOUT_MS, 10) || 5 * 60 * 1000; // 5 minutes
 
 // Global variables
 let browser = null;
-let page = null;
+let browserUses = 0;
+let browserNeedsRestart = false;
+let idleTimer = null;
+let activeExtraction = Promise.resolve(); // extractions share the browser one at a time
 
-// Initialize fresh browser window and clean any existing browser/data
-async function initializeFreshBrowser() {
+// PIDs of a process and all of its descendants (reads /proc, so Linux only; empty elsewhere)
+function getProcessTree(rootPid) {
     try {
-        console.log(`[${new Date().toISOString()}] 🧹 Cleaning any existing browser instances...`);
+        const childrenByParent = new Map();
         
-        // Close existing browser if it exists
-        if (browser) {
+        fs.readdirSync('/proc').filter(name => /^\d+$/.test(name)).forEach(pid => {
             try {
-                await browser.close();
-                console.log(`[${new Date().toISOString()}] ✅ Closed existing browser instance`);
+                const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+                const parentPid = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1], 10);
+                if (!childrenByParent.has(parentPid)) {
+                    childrenByParent.set(parentPid, []);
+                }
+                childrenByParent.get(parentPid).push(parseInt(pid, 10));
             } catch (error) {
-                console.log(`[${new Date().toISOString()}] ⚠️  Error closing existing browser (continuing):`, error.message);
+                // Process exited while scanning
             }
-        }
+        });
         
-        // Clear browser and page references
-        browser = null;
-        page = null;
+        const tree = [];
+        const pending = [rootPid];
+        while (pending.length > 0) {
+            const pid = pending.pop();
+            tree.push(pid);
+            pending.push(...(childrenByParent.get(pid) || []));
+        }
+        return tree;
+    } catch (error) {
+        return [];
+    }
+}
+
+// Resident memory of the browser and its child processes in MB (null if unknown)
+function getBrowserMemoryMB() {
+    const browserProcess = browser && browser.process();
+    if (!browserProcess) {
+        return null;
+    }
+    
+    const pids = getProcessTree(browserProcess.pid);
+    if (pids.length === 0) {
+        return null;
+    }
+    
+    let totalKb = 0;
+    pids.forEach(pid => {
+        try {
+            const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+            const match = status.match(/VmRSS:\s+(\d+)/);
+            if (match) {
+                totalKb += parseInt(match[1], 10);
+            }
+        } catch (error) {
+            // Process exited while reading
+        }
+    });
+    return Math.round(totalKb / 1024);
+}
+
+// Kill any of the given browser processes that outlived browser.close()
+function reapProcesses(pids) {
+    let reaped = 0;
+    
+    pids.forEach(pid => {
+        try {
+            process.kill(pid, 0); // Throws if the process is gone
+            process.kill(pid, 'SIGKILL');
+            reaped++;
+        } catch (error) {
+            // Already exited
+        }
+    });
+    
+    if (reaped > 0) {
+        logger.info(`🪓 Reaped ${reaped} leftover chrome process(es)`);
+    }
+}
+
+// Close the browser and reap its leftover child processes
+async function closeBrowser(reason) {
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    
+    if (!browser) {
+        return;
+    }
+    
+    const browserProcess = browser.process();
+    const pids = browserProcess ? getProcessTree(browserProcess.pid) : [];
+    
+    logger.info(`🧹 Closing browser (${reason}) after ${browserUses} use(s)...`);
+    try {
+        await browser.close();
+        logger.info(`✅ Browser closed`);
+    } catch (error) {
+        logger.warn(`⚠️  Error closing browser (continuing):`, error.message);
+    }
+    
+    browser = null;
+    browserUses = 0;
+    browserNeedsRestart = false;
+    
+    reapProcesses(pids);
+}
+
+// Launch the browser if needed, restarting it after BROWSER_MAX_USES uses, above
+// BROWSER_MAX_MEMORY_MB, after a failed extraction, or if it disconnected
+async function ensureBrowser() {
+    if (browser) {
+        const memoryMB = getBrowserMemoryMB();
         
-        console.log(`[${new Date().toISOString()}] 🚀 Initializing fresh browser window for token extraction...`);
+        if (!browser.connected) {
+            await closeBrowser('disconnected');
+        } else if (browserNeedsRestart) {
+            await closeBrowser('previous extraction failed');
+        } else if (browserUses >= BROWSER_MAX_USES) {
+            await closeBrowser(`reached ${BROWSER_MAX_USES} uses`);
+        } else if (memoryMB !== null && memoryMB >= BROWSER_MAX_MEMORY_MB) {
+            await closeBrowser(`using ${memoryMB}MB`);
+        } else {
+            logger.info(`♻️  Reusing browser (use ${browserUses + 1}/${BROWSER_MAX_USES}${memoryMB !== null ? `, ${memoryMB}MB` : ''})`);
+            return;
+        }
+    }
+    
+    logger.info(`🚀 Launching browser for token extraction...`);
+    
+    browser = await puppeteer.launch({
+        headless: 'new',
+        args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-accelerated-2d-canvas',
+            '--no-first-run',
+            '--no-zygote',
+            '--disable-gpu',
+            '--disable-web-security',
+            '--disable-features=VizDisplayCompositor',
+            '--disable-extensions',
+            '--disable-plugins'
+        ]
+    });
+    browserUses = 0;
+    
+    logger.info(`✅ Browser launched successfully`);
+}
+
+// Run a browser task once the previous one has finished (one extraction at a time, so a
+// browser restart never pulls the page out from under another site's extraction)
+function runExclusive(task) {
+    const run = activeExtraction.then(task, task);
+    activeExtraction = run.catch(() => {});
+    return run;
+}
+
+// Open a fresh incognito context and page for one token extraction. Returns { context, page }
+async function openTokenPage() {
+    try {
+        clearTimeout(idleTimer);
+        idleTimer = null;
         
-        browser = await puppeteer.launch({
-            headless: 'new',
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--no-zygote',
-                '--disable-gpu',
-                '--disable-web-security',
-                '--disable-features=VizDisplayCompositor',
-                '--disable-extensions',
-                '--disable-plugins'
-            ]
-        });
+        await ensureBrowser();
         
-        page = await browser.newPage();
+        const context = await browser.createBrowserContext();
+        const page = await context.newPage();
+        browserUses++;
         
         // Set user agent
         await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
         
-        console.log(`[${new Date().toISOString()}] ✅ Fresh browser initialized successfully`);
+        return { context, page };
         
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ❌ Error initializing fresh browser:`, error.message);
+        logger.error(`❌ Error opening browser page:`, error.message);
+        browserNeedsRestart = true;
         throw error;
     }
 }
 
-// Extract auth token from Amazon hiring page
-async function extractAuthToken() {
+// Close the incognito context (dropping its cookies and storage) and start the idle timer
+async function closeTokenPage(session) {
+    try {
+        await session.context.close();
+    } catch (error) {
+        logger.warn(`⚠️  Error closing browser context:`, error.message);
+        browserNeedsRestart = true;
+    }
+    
+    if (browser) {
+        idleTimer = setTimeout(() => {
+            closeBrowser('idle').catch(() => {});
+        }, BROWSER_IDLE_TIMEOUT);
+        idleTimer.unref();
+    }
+}
+
+// Wait for the first AppSync GraphQL request that carries an authorization header
+// (resolves with the bearer token, or null after timeoutMs)
+function captureTokenFromNetwork(page, graphqlUrl, timeoutMs) {
+    let onRequest = null;
+    let timer = null;
+    
+    const capture = new Promise(resolve => {
+        onRequest = (request) => {
+            if (!request.url().startsWith(graphqlUrl)) {
+                return;
+            }
+            
+            const authorization = request.headers()['authorization'];
+            if (authorization) {
+                resolve(authorization.replace(/^Bearer\s+/i, ''));
+            }
+        };
+        
+        page.on('request', onRequest);
+        timer = setTimeout(() => resolve(null), timeoutMs);
+    });
+    
+    return capture.finally(() => {
+        clearTimeout(timer);
+        page.off('request', onRequest);
+    });
+}
+
+// Extract auth token from a site's Amazon hiring page
+// Returns { token, strategy, source } where strategy is 'network' (authorization header
+// of a GraphQL request) or 'storage' (fallback scan of localStorage/sessionStorage)
+async function extractAuthToken(page, site) {
     try {
-        console.log(`[${new Date().toISOString()}] 🚀 Starting token extraction process...`);
+        logger.info(`🚀 Starting token extraction process (site ${site.name})...`);
+        
+        // Start listening before navigating so the first GraphQL request isn't missed
+        const networkCapture = captureTokenFromNetwork(page, site.graphqlUrl, NETWORK_CAPTURE_TIMEOUT);
         
         // Navigate to Amazon hiring page
-        console.log(`[${new Date().toISOString()}] 📡 Navigating to Amazon website: ${AMAZON_WEBSITE_URL}`);
-        const response = await page.goto(AMAZON_WEBSITE_URL, {
-            waitUntil: 'networkidle0',
-            timeout: 30000
+        logger.info(`📡 Navigating to Amazon website: ${site.websiteUrl}`);
+        const navigation = page.goto(site.websiteUrl, {
+            waitUntil: 'domcontentloaded',
+            timeout: NAVIGATION_TIMEOUT
+        }).then(response => {
+            logger.info(`📥 Page response: ${response.status()} ${response.statusText()}`);
+            logger.info(`🌐 Final URL: ${page.url()}`);
+        }).catch(error => {
+            logger.warn(`⚠️  Navigation problem (continuing):`, error.message);
         });
         
-        console.log(`[${new Date().toISOString()}] 📥 Page response: ${response.status()} ${response.statusText()}`);
-        console.log(`[${new Date().toISOString()}] 🌐 Final URL: ${page.url()}`);
+        // Strategy 1: authorization header of the first GraphQL request
+        logger.info(`🕵️  Waiting up to ${NETWORK_CAPTURE_TIMEOUT / 1000}s for a GraphQL request...`);
+        const networkToken = await networkCapture;
         
-        // Wait for page to load
-        console.log(`[${new Date().toISOString()}] ⏱️  Waiting for page to fully load...`);
-        await new Promise(resolve => setTimeout(resolve, 15000));
+        if (networkToken) {
+            logger.info(`✅ Token captured from network traffic!`);
+            return { token: networkToken, strategy: 'network', source: 'GraphQL authorization header' };
+        }
         
-        console.log(`[${new Date().toISOString()}] 📄 Page title: ${await page.title()}`);
-        console.log(`[${new Date().toISOString()}] 🔗 Current URL: ${page.url()}`);
+        // Strategy 2 (fallback): scan browser storage
+        logger.warn(`⚠️  No GraphQL request seen, falling back to storage scan...`);
+        await navigation;
+        
+        logger.info(`📄 Page title: ${await page.title()}`);
+        logger.info(`🔗 Current URL: ${page.url()}`);
         
         // Extract token
-        console.log(`[${new Date().toISOString()}] 🔍 Scanning for JWT tokens...`);
+        logger.info(`🔍 Scanning for JWT tokens...`);
         
         const extractedData = await page.evaluate(() => {
             try {
@@ -152,44 +359,45 @@ async function extractAuthToken() {
             throw new Error('No JWT token found in localStorage or sessionStorage');
         }
         
-        console.log(`[${new Date().toISOString()}] ✅ Token extracted successfully!`);
-        console.log(`[${new Date().toISOString()}] 🔑 Source: ${extractedData.source}`);
-        console.log(`[${new Date().toISOString()}] 🔑 Token: ${extractedData.token.substring(0, 50)}...`);
+        logger.info(`✅ Token extracted successfully!`);
+        logger.info(`🔑 Source: ${extractedData.source}`);
         
-        return extractedData.token;
+        return { token: extractedData.token, strategy: 'storage', source: extractedData.source };
         
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] ❌ Error extracting auth token:`, error.message);
+        logger.error(`❌ Error extracting auth token:`, error.message);
         throw error;
     }
 }
 
-// Test token validity against GraphQL endpoint
-async function validateTokenWithServer(token) {
+// Test token validity against a site's GraphQL endpoint (one request, no retries)
+async function validateTokenWithServer(token, site = getSite()) {
     try {
-        console.log(`[${new Date().toISOString()}] 🔍 Testing token validity against server...`);
-        
-        const fetch = require('node-fetch');
+        logger.info(`🔍 Testing token validity against server (site ${site.name})...`);
         
-        const headers = {
-            'accept': '*/*',
-            'accept-language': 'en-CA,en;q=0.9',
-            'authorization': `Bearer ${token}`,
-            'content-type': 'application/json',
-            'country': 'Canada',
-            'iscanary': 'false',
-            'origin': 'https://hiring.amazon.ca',
-            'referer': 'https://hiring.amazon.ca/',
-            'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            'x-amz-user-agent': 'aws-amplify/5.0.0'
+        const testQuery = {
+            operationName: 'searchJobCardsByLocation',
+            query: `query searchJobCardsByLocation($searchJobRequest: SearchJobRequest!) {
+                searchJobCardsByLocation(searchJobRequest: $searchJobRequest) {
+                    nextToken
+                    jobCards {
+                        jobId
+                        jobTitle
+                    }
+                }
+            }`
         };
         
-        const testQuery = {
-            "operationName": "searchJobCardsByLocation",
-            "variables": {
+        logger.info(`📤 Sending validation request to server...`);
+        
+        await sendGraphQL({
+            token: token,
+            site: site,
+            query: testQuery,
+            variables: {
                 "searchJobRequest": {
-                    "locale": "en-CA",
-                    "country": "Canada",
+                    "locale": site.locale,
+                    "country": site.country,
                     "keyWords": "",
                     "equalFilters": [],
                     "containFilters": [
@@ -214,78 +422,93 @@ async function validateTokenWithServer(token) {
                     "consolidateSchedule": true
                 }
             },
-            "query": `query searchJobCardsByLocation($searchJobRequest: SearchJobRequest!) {
-                searchJobCardsByLocation(searchJobRequest: $searchJobRequest) {
-                    nextToken
-                    jobCards {
-                        jobId
-                        jobTitle
-                    }
-                }
-            }`
-        };
-        
-        console.log(`[${new Date().toISOString()}] 📤 Sending validation request to server...`);
-        
-        const response = await fetch(AMAZON_GRAPHQL_URL, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(testQuery)
+            resultField: 'searchJobCardsByLocation',
+            listField: 'jobCards'
         });
         
-        console.log(`[${new Date().toISOString()}] 📥 Validation response: ${response.status} ${response.statusText}`);
+        logger.info(`✅ Token is VALID!`);
+        return { isValid: true, token: token };
         
-        if (response.status === 200) {
-            console.log(`[${new Date().toISOString()}] ✅ Token is VALID!`);
+    } catch (error) {
+        if (error instanceof GraphQLError) {
+            // The server accepted the token but didn't like the query
+            logger.info(`✅ Token is VALID (query returned: ${error.message})`);
             return { isValid: true, token: token };
+        }
+        if (error instanceof AuthError) {
+            logger.info(`❌ Token validation failed: ${error.message}`);
         } else {
-            console.log(`[${new Date().toISOString()}] ❌ Token validation failed: ${response.status}`);
-            return { isValid: false, token: null };
+            logger.error(`❌ Error validating token with server (${error.name}):`, error.message);
         }
-        
-    } catch (error) {
-        console.error(`[${new Date().toISOString()}] ❌ Error validating token with server:`, error.message);
         return { isValid: false, token: null };
     }
 }
 
-// Main token extraction function with retry logic
-async function getValidToken(maxRetries = 3) {
+// Decode the exp claim of a JWT (milliseconds since epoch, or null if it has none)
+function getTokenExpiry(token) {
+    try {
+        const payload = token.split('.')[1];
+        const claims = JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+        return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Main token extraction function with retry logic, for one site (see sites.js).
+// The browser is only held during an attempt, so other sites can extract between retries.
+// Resolves to { token, strategy } (strategy 'static' for AMAZON_AUTH_TOKEN).
+async function getValidToken(site = getSite(), maxRetries = 3) {
     let attempts = 0;
     
+    if (STATIC_AUTH_TOKEN) {
+        logger.info(`🔑 Using AMAZON_AUTH_TOKEN for site ${site.name} (browser extraction skipped)`);
+        return { token: STATIC_AUTH_TOKEN, strategy: 'static' };
+    }
+    
     while (attempts < maxRetries) {
         attempts++;
-        console.log(`[${new Date().toISOString()}] 🔄 Token extraction attempt ${attempts}/${maxRetries}`);
+        logger.info(`🔄 Token extraction attempt ${attempts}/${maxRetries} (site ${site.name})`);
         
         try {
-            // Initialize fresh browser (clears any old data)
-            await initializeFreshBrowser();
-            
-            // Extract token
-            const token = await extractAuthToken();
+            // Extract a token in a fresh incognito page of the shared browser
+            const extraction = await runExclusive(async () => {
+                const session = await openTokenPage();
+                try {
+                    return await extractAuthToken(session.page, site);
+                } catch (error) {
+                    browserNeedsRestart = true;
+                    throw error;
+                } finally {
+                    await closeTokenPage(session);
+                }
+            });
             
             // Validate token
-            const validation = await validateTokenWithServer(token);
+            const validation = await validateTokenWithServer(extraction.token, site);
             
             if (validation.isValid) {
-                console.log(`[${new Date().toISOString()}] 🎉 Valid token obtained successfully!`);
+                incCounter('token_extractions_total', { result: 'success', strategy: extraction.strategy, site: site.name });
+                logger.info(`🎉 Valid token obtained successfully for site ${site.name} (strategy: ${extraction.strategy}, source: ${extraction.source})!`);
                 
                 // 🧹 Garbage collection after successful token extraction
                 if (global.gc) {
                     global.gc();
                 }
                 
-                return validation.token;
+                return { token: validation.token, strategy: extraction.strategy };
             } else {
-                console.log(`[${new Date().toISOString()}] ❌ Token validation failed, retrying...`);
+                incCounter('token_extractions_total', { result: 'failure', strategy: extraction.strategy, site: site.name });
+                logger.info(`❌ Token validation failed, retrying...`);
                 if (attempts < maxRetries) {
-                    console.log(`[${new Date().toISOString()}] ⏱️  Waiting 10 seconds before retry...`);
+                    logger.info(`⏱️  Waiting 10 seconds before retry...`);
                     await new Promise(resolve => setTimeout(resolve, 10000));
                 }
             }
             
         } catch (error) {
-            console.error(`[${new Date().toISOString()}] ❌ Error in attempt ${attempts}:`, error.message);
+            logger.error(`❌ Error in attempt ${attempts}:`, error.message);
+            incCounter('token_extractions_total', { result: 'failure', strategy: 'none', site: site.name });
             
             // 🧹 Garbage collection on error recovery
             if (global.gc) {
@@ -293,30 +516,23 @@ async function getValidToken(maxRetries = 3) {
             }
             
             if (attempts < maxRetries) {
-                console.log(`[${new Date().toISOString()}] ⏱️  Waiting 10 seconds before retry...`);
+                logger.info(`⏱️  Waiting 10 seconds before retry...`);
                 await new Promise(resolve => setTimeout(resolve, 10000));
             }
         }
     }
     
-    throw new Error(`Failed to obtain valid token after ${maxRetries} attempts`);
+    throw new Error(`Failed to obtain valid token for site ${site.name} after ${maxRetries} attempts`);
 }
 
 // Cleanup function
 async function cleanup() {
-    if (browser) {
-        try {
-            await browser.close();
-            console.log(`[${new Date().toISOString()}] ✅ Browser closed`);
-        } catch (error) {
-            console.log(`[${new Date().toISOString()}] ⚠️  Error closing browser:`, error.message);
-        }
-    }
+    await closeBrowser('cleanup');
     
     // 🧹 Final garbage collection during cleanup
     if (global.gc) {
         global.gc();
-        console.log(`[${new Date().toISOString()}] 🧹 Final garbage collection completed`);
+        logger.info(`🧹 Final garbage collection completed`);
     }
 }
 
@@ -324,7 +540,8 @@ async function cleanup() {
 module.exports = {
     getValidToken,
     cleanup,
-    validateTokenWithServer
+    validateTokenWithServer,
+    getTokenExpiry
 };
 
 // If run directly, test the token extraction
@@ -332,10 +549,13 @@ if (require.main === module) {
     console.log('🧪 Testing Token Extraction Module');
     console.log('==================================');
     
-    getValidToken()
-        .then(token => {
+    // node token-extractor.js [site name from sites.json, default the first site]
+    loadSites();
+    Promise.resolve()
+        .then(() => getValidToken(getSite(process.argv[2] || null)))
+        .then(({ token, strategy }) => {
             console.log('✅ Token extraction test successful!');
-            console.log(`🔑 Token: ${token.substring(0, 50)}...`);
+            console.log(`🔑 Token: ${token.length} characters (not printed), strategy: ${strategy}`);
         })
         .catch(error => {
             console.error('❌ Token extraction test failed:', error.message);